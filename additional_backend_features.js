@@ -2,6 +2,8 @@
 // ADDITIONAL BACKEND FEATURES & SERVICES
 // ===================================================================
 
+const crypto = require('crypto');
+
 // ===================================================================
 // 1. ADVANCED SCHOLARLY RESEARCH INTEGRATION
 // ===================================================================
@@ -102,11 +104,89 @@ class ScholarlyResearchEngine {
 // 2. CULTURAL IMMERSION SIMULATION ENGINE
 // ===================================================================
 
+// Score lost for each cultural misstep in a role-play
+const ROLEPLAY_OFFENCE_PENALTY = 10;
+// Longest learner line a role-play turn accepts
+const MAX_ROLEPLAY_INPUT_LENGTH = 500;
+
+// Errors carrying an HTTP status for the server to pass through
+function roleplayError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Lowercase without accents, so "cuanto" matches "¿Cuánto?"
+function normalizeUtterance(text) {
+  return String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/’/g, '\'').replace(/\s+/g, ' ').trim();
+}
+
+// Whole words for alphabetic phrases, where a leading or trailing * allows
+// any word start or ending ("*masu", "itadak*"); plain substrings for
+// Japanese and Chinese, which don't separate words with spaces
+function containsPhrase(utterance, phrase) {
+  const wanted = normalizeUtterance(phrase);
+  if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(wanted)) {
+    return utterance.includes(wanted);
+  }
+  const core = wanted.replace(/^\*|\*$/g, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const before = wanted.startsWith('*') ? '' : '(^|[^\\p{L}\\p{N}])';
+  const after = wanted.endsWith('*') ? '' : '($|[^\\p{L}\\p{N}])';
+  return new RegExp(`${before}${core}${after}`, 'u').test(utterance);
+}
+
+function firstNumber(utterance) {
+  const match = utterance.match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+// Conditions on a learner utterance; every key given must hold.
+//   any: [phrase]               at least one phrase appears
+//   all: [phrase | [phrase]]    each entry appears (an array lists alternatives)
+//   none: [phrase]              no phrase appears
+//   polite / rude: boolean      the scenario's polite or rude markers appear
+//   number: { of, min, max }    the first number in the utterance, as a
+//                               fraction of state[of] when `of` is given
+//   state: { key: { of, min, max } }  the same bounds on role-play state
+function roleplayConditionHolds(condition, utterance, roleplay, state) {
+  const mentions = phrases => phrases.some(phrase => containsPhrase(utterance, phrase));
+  const inBounds = (value, { of, min = -Infinity, max = Infinity }) => {
+    if (value === null || value === undefined) return false;
+    const scaled = of ? value / state[of] : value;
+    return scaled >= min && scaled <= max;
+  };
+
+  if (condition.any && !mentions(condition.any)) return false;
+  if (condition.all && !condition.all.every(entry => mentions([].concat(entry)))) return false;
+  if (condition.none && mentions(condition.none)) return false;
+  if (condition.polite !== undefined && mentions(roleplay.politeMarkers || []) !== condition.polite) return false;
+  if (condition.rude !== undefined && mentions(roleplay.rudeMarkers || []) !== condition.rude) return false;
+  if (condition.number && !inBounds(firstNumber(utterance), condition.number)) return false;
+  if (condition.state) {
+    for (const [key, bounds] of Object.entries(condition.state)) {
+      if (!inBounds(state[key], bounds)) return false;
+    }
+  }
+  return true;
+}
+
+function fillRoleplayTemplate(template, values) {
+  return (template || '').replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+}
+
 class CulturalImmersionEngine {
-  constructor(languageDB) {
+  constructor(languageDB, { store = null, sessionIdleMinutes = 30, maxCachedSessions = 1000 } = {}) {
     this.languageDB = languageDB;
     this.culturalScenarios = new Map();
     this.socialContexts = new Map();
+    // Role-play sessions by id as { session, usedAt }, least recently used
+    // first; every change is also written through to the store. Sessions idle
+    // for sessionIdleMinutes, or past maxCachedSessions, are dropped and
+    // reloaded from the store when needed.
+    this.roleplaySessions = new Map();
+    this.roleplayIdleMs = sessionIdleMinutes * 60 * 1000;
+    this.maxCachedRoleplays = maxCachedSessions;
+    this.store = store;
     this.initializeCulturalData();
   }
 
@@ -114,6 +194,7 @@ class CulturalImmersionEngine {
     // Comprehensive cultural scenario database
     const culturalScenarios = {
       'spanish_mexico': {
+        languageCode: 'spanish',
         scenarios: [
           {
             name: 'mercado_negotiation',
@@ -125,7 +206,117 @@ class CulturalImmersionEngine {
               'Physical gestures are important - pointing is considered rude'
             ],
             difficulty: 'intermediate',
-            realWorldApplication: 'Shopping, daily life interactions'
+            realWorldApplication: 'Shopping, daily life interactions',
+            roleplay: {
+              character: 'Doña Lupe, who sells hand-woven rebozos',
+              learnerRole: 'A shopper who wants a rebozo at a fair price',
+              environment: {
+                setting: 'A covered market stall in Oaxaca, late afternoon',
+                sounds: ['vendors calling out prices', 'a radio playing cumbia'],
+                props: ['a stack of rebozos', 'a hand-written price card: $500']
+              },
+              startStage: 'greeting',
+              state: { listPrice: 500, price: 500 },
+              politeMarkers: ['por favor', 'gracias', 'disculpe', 'perdone', 'podria', 'seria posible', 'muy amable', 'si es tan amable'],
+              rudeMarkers: ['robo', 'ladrona', 'ladron', 'estafa', 'no vale nada', 'que caro esta esto'],
+              stages: {
+                greeting: {
+                  line: '¡Buenas tardes! Pásele, pásele. ¿Qué le puedo ofrecer?',
+                  hints: ['Greet Doña Lupe, then ask about the rebozo (el rebozo) and its price.'],
+                  branches: [
+                    {
+                      when: { any: ['rebozo', 'precio', 'cuanto', 'cuesta'] },
+                      goto: 'quote',
+                      reply: 'Este rebozo está tejido a mano, mire nada más. Se lo dejo en {price} pesos.'
+                    },
+                    {
+                      when: { any: ['hola', 'buenas', 'buenos dias', 'buenas tardes'] },
+                      reply: 'Buenas, buenas. ¿Busca algo en especial? Tengo rebozos muy bonitos.'
+                    }
+                  ],
+                  fallback: 'Perdón, no le entendí. ¿Le interesa un rebozo?'
+                },
+                quote: {
+                  hints: [
+                    'Ask for a better price politely, e.g. "¿Cuál es su mejor precio, por favor?"',
+                    'Or make an offer: "¿Me lo deja en 400, por favor?"'
+                  ],
+                  branches: [
+                    {
+                      when: { rude: true },
+                      offence: 'rude',
+                      reply: 'Ay, no, así no se habla. El precio es {price} pesos.'
+                    },
+                    {
+                      when: { number: { of: 'listPrice', max: 0.5 } },
+                      reply: '¡Uy, no! Con eso ni pago el hilo. Hágame una oferta seria.'
+                    },
+                    {
+                      when: { number: { of: 'listPrice', max: 0.8 }, polite: true },
+                      set: { price: 'number' },
+                      goto: 'closing',
+                      reply: 'Bueno, porque usted es muy amable… se lo dejo en {price} pesos.'
+                    },
+                    {
+                      when: { number: { of: 'listPrice', max: 0.8 } },
+                      reply: 'Mmm, así está difícil. Pídamelo bien y a lo mejor nos arreglamos. Ahorita está en {price}.'
+                    },
+                    {
+                      when: { number: { of: 'listPrice', max: 1 } },
+                      set: { price: 'number' },
+                      goto: 'closing',
+                      reply: '¡Trato hecho! Se lo dejo en {price} pesos.'
+                    },
+                    {
+                      when: { any: ['descuento', 'rebaja', 'mas barato', 'mejor precio', 'menos'], polite: true },
+                      discount: { of: 'listPrice', by: 0.1, floor: 0.8 },
+                      reply: 'Ándele pues, para usted {price} pesos. ¿Qué dice?'
+                    },
+                    {
+                      when: { any: ['descuento', 'rebaja', 'mas barato', 'mejor precio', 'menos'] },
+                      reply: 'Mmm… el precio es {price}. Pídamelo con cariño, ¿no?'
+                    },
+                    {
+                      when: { any: ['lo llevo', 'me lo llevo', 'esta bien', 'de acuerdo', 'trato hecho'] },
+                      goto: 'closing',
+                      reply: 'Muy bien, son {price} pesos.'
+                    },
+                    {
+                      when: { any: ['adios', 'no gracias', 'ya me voy'] },
+                      end: true,
+                      reply: 'Ándele, ¡que le vaya bien!'
+                    }
+                  ],
+                  fallback: 'El rebozo está en {price} pesos. ¿Le hago un descuentito?'
+                },
+                closing: {
+                  hints: ['Pay and thank Doña Lupe: "Aquí tiene. ¡Muchas gracias!"'],
+                  branches: [
+                    {
+                      when: { rude: true },
+                      offence: 'rude',
+                      end: true,
+                      reply: 'Pues aquí tiene su rebozo. (Doña Lupe turns to the next customer.)'
+                    },
+                    {
+                      when: { any: ['gracias'] },
+                      end: true,
+                      reply: '¡A usted! Que lo disfrute mucho. Vuelva pronto.'
+                    }
+                  ],
+                  fallback: 'Aquí tiene su rebozo. Son {price} pesos.'
+                }
+              },
+              goals: [
+                { id: 'greet', description: 'Greet the vendor before talking business', weight: 1, stages: ['greeting'], when: { any: ['hola', 'buenas', 'buenos dias', 'buenas tardes'] }, tip: 'Always greet a vendor first: "Buenas tardes, señora."' },
+                { id: 'ask_price', description: 'Ask what the rebozo costs', weight: 1, when: { any: ['cuanto', 'precio', 'cuesta'] }, tip: 'Ask "¿Cuánto cuesta?" or "¿Cuál es el precio?"' },
+                { id: 'discount_20', description: 'Get a 20% discount politely', weight: 3, when: { polite: true, state: { price: { of: 'listPrice', max: 0.8 } } }, tip: 'Bargaining works best with "por favor" and a friendly counter-offer around 80% of the asking price.' },
+                { id: 'close_deal', description: 'Agree on a price', weight: 2, stages: ['closing'], tip: 'Close the deal with "Me lo llevo."' },
+                { id: 'thank', description: 'Thank the vendor', weight: 1, stages: ['closing'], when: { any: ['gracias'] }, tip: 'Finish with "¡Muchas gracias!"' }
+              ],
+              passScore: 70,
+              maxTurns: 12
+            }
           },
           {
             name: 'family_gathering',
@@ -142,6 +333,7 @@ class CulturalImmersionEngine {
         ]
       },
       'japanese': {
+        languageCode: 'japanese',
         scenarios: [
           {
             name: 'business_meeting',
@@ -153,7 +345,112 @@ class CulturalImmersionEngine {
               'Silence is acceptable and shows contemplation'
             ],
             difficulty: 'advanced',
-            realWorldApplication: 'Professional communication'
+            realWorldApplication: 'Professional communication',
+            roleplay: {
+              character: 'Tanaka-san, a department manager at a partner company',
+              learnerRole: 'A visiting sales representative presenting a proposal',
+              environment: {
+                setting: 'A quiet meeting room in a Tokyo office, 10 a.m.',
+                sounds: ['air conditioning', 'the occasional phone in the next room'],
+                props: ['green tea', 'printed proposal documents', 'business cards on the table']
+              },
+              startStage: 'introduction',
+              state: {},
+              politeMarkers: ['desu', '*masu', '*mashita', '*mashou', 'kudasai', 'onegai', 'itadak*', 'kyoshuku', 'shitsurei', 'です', 'ます', 'ください', 'お願い', 'いただ', '恐縮', '失礼'],
+              // Plain-form "da yo" is too casual here; "desu yo" is fine
+              rudeMarkers: ['ossu', 'oi', 'da yo', 'dayo', 'おい', 'おっす', 'だよ'],
+              stages: {
+                introduction: {
+                  line: 'Hajimemashite. Tanaka to mōshimasu. (はじめまして。田中と申します。)',
+                  hints: ['Introduce yourself formally: "Hajimemashite. [Name] to mōshimasu."'],
+                  branches: [
+                    {
+                      when: { rude: true },
+                      offence: 'too_casual',
+                      reply: '…Hajimemashite. (Tanaka-san pauses, waiting for a proper introduction.)'
+                    },
+                    {
+                      when: { all: [['hajimemashite', 'はじめまして'], ['moshimasu', 'moushimasu', '申します']] },
+                      goto: 'meishi',
+                      reply: 'Yoroshiku onegai shimasu. Kochira, watashi no meishi desu. (よろしくお願いします。こちら、私の名刺です。)'
+                    },
+                    {
+                      when: { any: ['hajimemashite', 'はじめまして', 'desu', 'です'] },
+                      goto: 'meishi',
+                      reply: 'Yoroshiku onegai shimasu. Kochira, meishi desu. (Tanaka-san offers a business card with both hands.)'
+                    }
+                  ],
+                  fallback: 'Shitsurei desu ga, o-namae wa? (失礼ですが、お名前は?)'
+                },
+                meishi: {
+                  hints: ['Receive the card with both hands (ryōte de) and say "Chōdai itashimasu."'],
+                  branches: [
+                    {
+                      // 書く, 書き, 書い (writing on the card), not 書類 (documents)
+                      when: { any: ['pocket', 'poketto', 'ポケット', 'write on', 'kaku', 'kaite', '書く', '書き', '書い'] },
+                      offence: 'card_disrespect',
+                      goto: 'agenda',
+                      reply: '(Tanaka-san glances at the card disappearing into your pocket.) …Dewa, hajimemashō ka.'
+                    },
+                    {
+                      when: { any: ['ryote', '両手', 'both hands', 'chodai', 'choudai', '頂戴', 'itadakimasu', 'いただきます'] },
+                      goto: 'agenda',
+                      reply: 'Dōzo, o-kake kudasai. Kyō wa shinseihin no go-teian desu ne. (どうぞ、おかけください。今日は新製品のご提案ですね。)'
+                    }
+                  ],
+                  fallback: '(Tanaka-san is still holding out the card with both hands.)'
+                },
+                agenda: {
+                  hints: ['Present the proposal politely: "Shiryō o go-setsumei sasete itadakimasu."'],
+                  branches: [
+                    {
+                      when: { any: ['kyo kimete', 'kimete kudasai', 'sokketsu', '即決', '今日決め', 'decide today'] },
+                      offence: 'pushy',
+                      reply: 'Sore wa… chotto muzukashii desu ne. (それは…ちょっと難しいですね。)'
+                    },
+                    {
+                      when: { any: ['teian', '提案', 'setsumei', '説明', 'shiryo', '資料'], polite: true },
+                      goto: 'closing',
+                      reply: 'Naruhodo. Shanai de kentō sasete itadakimasu. (なるほど。社内で検討させていただきます。)'
+                    },
+                    {
+                      when: { any: ['teian', '提案', 'setsumei', '説明', 'shiryo', '資料'] },
+                      offence: 'too_casual',
+                      goto: 'closing',
+                      reply: '…Sō desu ka. (Tanaka-san nods slowly; your tone was rather casual.)'
+                    }
+                  ],
+                  fallback: 'Dōzo, go-setsumei kudasai. (どうぞ、ご説明ください。)'
+                },
+                closing: {
+                  hints: [
+                    'Accept that a decision will take time; silence is fine.',
+                    'Close with "Yoroshiku onegai itashimasu."'
+                  ],
+                  branches: [
+                    {
+                      when: { any: ['itsu', 'いつ', 'answer', 'kotae', '返事'] },
+                      offence: 'pushy',
+                      reply: 'Kentō shite kara, go-renraku itashimasu. (検討してから、ご連絡いたします。)'
+                    },
+                    {
+                      when: { any: ['yoroshiku', 'よろしく', 'arigato', 'ありがとう'], polite: true },
+                      end: true,
+                      reply: 'Kochira koso, yoroshiku onegai itashimasu. (こちらこそ、よろしくお願いいたします。)'
+                    }
+                  ],
+                  fallback: 'Hoka ni nani ka gozaimasu ka? (他に何かございますか?)'
+                }
+              },
+              goals: [
+                { id: 'formal_intro', description: 'Introduce yourself formally', weight: 2, stages: ['introduction'], when: { all: [['hajimemashite', 'はじめまして'], ['moshimasu', 'moushimasu', '申します']] }, tip: 'Use the humble "[Name] to mōshimasu" rather than "[Name] desu".' },
+                { id: 'meishi_exchange', description: 'Receive the business card respectfully', weight: 2, stages: ['meishi'], when: { any: ['ryote', '両手', 'both hands', 'chodai', 'choudai', '頂戴'] }, tip: 'Take the card with both hands, read it, and keep it on the table during the meeting.' },
+                { id: 'present_keigo', description: 'Present the proposal in polite language', weight: 2, stages: ['agenda'], when: { any: ['teian', '提案', 'setsumei', '説明', 'shiryo', '資料'], polite: true }, tip: 'Use keigo such as "sasete itadakimasu" when presenting.' },
+                { id: 'polite_close', description: 'Close the meeting without pressing for a decision', weight: 1, stages: ['closing'], when: { any: ['yoroshiku', 'よろしく', 'arigato', 'ありがとう'], polite: true }, tip: 'End with "Yoroshiku onegai itashimasu" and let them decide in their own time.' }
+              ],
+              passScore: 70,
+              maxTurns: 10
+            }
           }
         ]
       }
@@ -205,6 +502,276 @@ class CulturalImmersionEngine {
 
     return personalities[languageCode] || personalities['default'];
   }
+
+  generateEnvironmentalContext(scenario) {
+    return (scenario.roleplay && scenario.roleplay.environment) || { setting: scenario.description };
+  }
+
+  defineScenarioSuccess(scenario) {
+    if (!scenario.roleplay) return null;
+    const { goals, passScore, maxTurns } = scenario.roleplay;
+    return {
+      goals: goals.map(({ id, description, weight }) => ({ id, description, weight })),
+      passScore,
+      maxTurns,
+      offencePenalty: ROLEPLAY_OFFENCE_PENALTY
+    };
+  }
+
+  // ===== ROLE-PLAY RUNTIME =====
+  // A role-play walks through a scenario's stages. Each learner turn is
+  // matched against the current stage's branches in order; the first that
+  // holds gives the character's reply and may change stage, update state
+  // (set, discount), record an offence or end the scene. Goals are checked
+  // after every turn, and finishing scores them against successMetrics.
+
+  findScenario(name) {
+    for (const [culture, data] of this.culturalScenarios) {
+      const scenario = data.scenarios.find(candidate => candidate.name === name);
+      if (scenario) return { culture, languageCode: data.languageCode, scenario };
+    }
+    return null;
+  }
+
+  listRoleplays() {
+    const roleplays = [];
+    for (const [culture, data] of this.culturalScenarios) {
+      for (const scenario of data.scenarios) {
+        if (!scenario.roleplay) continue;
+        roleplays.push({
+          name: scenario.name,
+          culture,
+          languageCode: data.languageCode,
+          description: scenario.description,
+          difficulty: scenario.difficulty,
+          character: scenario.roleplay.character,
+          learnerRole: scenario.roleplay.learnerRole,
+          successMetrics: this.defineScenarioSuccess(scenario)
+        });
+      }
+    }
+    return roleplays;
+  }
+
+  async startRoleplay(userId, scenarioName) {
+    if (typeof scenarioName !== 'string' || !scenarioName) {
+      throw roleplayError(400, 'scenario is required');
+    }
+    const found = this.findScenario(scenarioName);
+    if (!found || !found.scenario.roleplay) {
+      throw roleplayError(404, `Unknown role-play scenario: ${scenarioName}`);
+    }
+
+    const { roleplay } = found.scenario;
+    const stage = roleplay.stages[roleplay.startStage];
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      userId,
+      scenario: scenarioName,
+      culture: found.culture,
+      languageCode: found.languageCode,
+      stage: roleplay.startStage,
+      state: { ...roleplay.state },
+      achievedGoals: {},
+      offences: [],
+      turns: [],
+      learnerTurns: 0,
+      status: 'active',
+      result: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    const opening = fillRoleplayTemplate(stage.line, session.state);
+    session.turns.push({ role: 'character', text: opening, stage: session.stage, at: now });
+    await this.saveRoleplay(session);
+
+    return {
+      session,
+      reply: opening,
+      hints: stage.hints || [],
+      environment: this.generateEnvironmentalContext(found.scenario),
+      successMetrics: this.defineScenarioSuccess(found.scenario)
+    };
+  }
+
+  async getRoleplay(sessionId) {
+    this.evictIdleRoleplays();
+    const cached = this.roleplaySessions.get(sessionId);
+    if (cached) {
+      this.cacheRoleplay(cached.session);
+      return cached.session;
+    }
+    const session = this.store ? await this.store.get('roleplaySessions', sessionId) : null;
+    if (session && session.status === 'active') {
+      this.cacheRoleplay(session);
+    }
+    return session || null;
+  }
+
+  async saveRoleplay(session) {
+    // Without a store the cache is all there is, so finished sessions stay
+    // until they go idle
+    if (session.status === 'active' || !this.store) {
+      this.cacheRoleplay(session);
+    } else {
+      this.roleplaySessions.delete(session.id);
+    }
+    this.evictIdleRoleplays();
+    if (this.store) await this.store.put('roleplaySessions', session.id, session);
+  }
+
+  cacheRoleplay(session) {
+    this.roleplaySessions.delete(session.id);
+    this.roleplaySessions.set(session.id, { session, usedAt: Date.now() });
+  }
+
+  evictIdleRoleplays() {
+    const now = Date.now();
+    for (const [id, { usedAt }] of this.roleplaySessions) {
+      if (this.roleplaySessions.size <= this.maxCachedRoleplays && now - usedAt < this.roleplayIdleMs) break;
+      this.roleplaySessions.delete(id);
+    }
+  }
+
+  async roleplayTurn(session, message) {
+    if (session.status !== 'active') {
+      throw roleplayError(409, 'This role-play has finished');
+    }
+    if (typeof message !== 'string' || !message.trim()) {
+      throw roleplayError(400, 'message is required');
+    }
+    if (message.length > MAX_ROLEPLAY_INPUT_LENGTH) {
+      throw roleplayError(413, `message can be at most ${MAX_ROLEPLAY_INPUT_LENGTH} characters`);
+    }
+
+    const { scenario } = this.findScenario(session.scenario);
+    const { roleplay } = scenario;
+    const saidIn = session.stage;
+    const stage = roleplay.stages[saidIn];
+    const utterance = normalizeUtterance(message);
+    const at = new Date().toISOString();
+    session.learnerTurns += 1;
+    session.turns.push({ role: 'learner', text: message, stage: saidIn, at });
+
+    const branch = stage.branches.find(candidate =>
+      roleplayConditionHolds(candidate.when || {}, utterance, roleplay, session.state)
+    );
+    const number = firstNumber(utterance);
+    let offence = null;
+    if (branch) {
+      for (const [key, source] of Object.entries(branch.set || {})) {
+        session.state[key] = source === 'number' ? number : source;
+      }
+      if (branch.discount) {
+        const { of, by, floor = 0 } = branch.discount;
+        session.state.price = Math.max(
+          Math.round(session.state[of] * floor),
+          session.state.price - Math.round(session.state[of] * by)
+        );
+      }
+      if (branch.offence) {
+        offence = branch.offence;
+        session.offences.push({ type: offence, text: message, turn: session.learnerTurns });
+      }
+      if (branch.goto) session.stage = branch.goto;
+    }
+
+    const reply = fillRoleplayTemplate(branch ? branch.reply : stage.fallback, session.state);
+    session.turns.push({ role: 'character', text: reply, stage: session.stage, at });
+
+    // Goals with conditions count in the stage they were said in; goals
+    // without one count on reaching their stage
+    const newGoals = [];
+    for (const goal of roleplay.goals) {
+      if (session.achievedGoals[goal.id] !== undefined) continue;
+      const reached = goal.when
+        ? (!goal.stages || goal.stages.includes(saidIn)) &&
+          roleplayConditionHolds(goal.when, utterance, roleplay, session.state)
+        : Boolean(goal.stages && goal.stages.includes(session.stage));
+      if (reached) {
+        session.achievedGoals[goal.id] = session.learnerTurns;
+        newGoals.push(goal.id);
+      }
+    }
+
+    session.updatedAt = at;
+    let result = null;
+    if (branch && branch.end) {
+      result = await this.finishRoleplay(session, 'completed');
+    } else if (session.learnerTurns >= roleplay.maxTurns) {
+      result = await this.finishRoleplay(session, 'out_of_turns');
+    } else {
+      await this.saveRoleplay(session);
+    }
+
+    return {
+      sessionId: session.id,
+      stage: session.stage,
+      reply,
+      matched: Boolean(branch),
+      achievedGoals: newGoals,
+      offence,
+      hints: result ? [] : roleplay.stages[session.stage].hints || [],
+      finished: Boolean(result),
+      result
+    };
+  }
+
+  // Finishing early counts as `abandoned`; finishing twice returns the same result
+  async finishRoleplay(session, outcome = 'abandoned') {
+    if (session.result) return session.result;
+
+    const { scenario } = this.findScenario(session.scenario);
+    session.result = this.scoreRoleplay(session, scenario, outcome);
+    session.status = 'finished';
+    session.updatedAt = new Date().toISOString();
+    await this.saveRoleplay(session);
+    return session.result;
+  }
+
+  scoreRoleplay(session, scenario, outcome) {
+    const metrics = this.defineScenarioSuccess(scenario);
+    const { roleplay } = scenario;
+    const totalWeight = roleplay.goals.reduce((sum, goal) => sum + goal.weight, 0);
+    const earned = roleplay.goals
+      .filter(goal => session.achievedGoals[goal.id] !== undefined)
+      .reduce((sum, goal) => sum + goal.weight, 0);
+    const goalScore = totalWeight > 0 ? 100 * earned / totalWeight : 0;
+    const score = Math.max(0, Math.round(goalScore - session.offences.length * metrics.offencePenalty));
+
+    return {
+      scenario: session.scenario,
+      outcome,
+      score,
+      passScore: metrics.passScore,
+      passed: score >= metrics.passScore,
+      turns: session.learnerTurns,
+      goals: roleplay.goals.map(goal => ({
+        id: goal.id,
+        description: goal.description,
+        weight: goal.weight,
+        achieved: session.achievedGoals[goal.id] !== undefined,
+        turn: session.achievedGoals[goal.id] ?? null
+      })),
+      offences: session.offences,
+      tips: [
+        ...roleplay.goals.filter(goal => session.achievedGoals[goal.id] === undefined && goal.tip).map(goal => goal.tip),
+        ...(session.offences.length > 0 ? scenario.culturalNotes : [])
+      ]
+    };
+  }
+
+  // Summaries only; fetch a single session for its transcript
+  async listRoleplaySessions(userId) {
+    const sessions = this.store
+      ? await this.store.list('roleplaySessions')
+      : [...this.roleplaySessions.values()].map(({ session }) => session);
+    return sessions
+      .filter(session => session.userId === userId)
+      .map(({ turns, state, ...summary }) => ({ ...summary, turnCount: turns.length }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
 }
 
 // ===================================================================
@@ -364,6 +931,54 @@ class BiometricLearningOptimizer {
 // 5. ADVANCED VOICE SYNTHESIS SYSTEM
 // ===================================================================
 
+// Learner modes: a slower rate, and pauses between words or syllables
+const SPEECH_MODES = {
+  'normal': { rate: 1, wordBreakMs: 0, syllableBreakMs: 0 },
+  'slow': { rate: 0.7, wordBreakMs: 150, syllableBreakMs: 0 },
+  'syllables': { rate: 0.6, wordBreakMs: 400, syllableBreakMs: 250 }
+};
+
+// Consonant pairs that start a syllable together (pe-rro, ha-blar)
+const SYLLABLE_ONSETS = ['ch', 'll', 'rr', 'pr', 'br', 'tr', 'dr', 'cr', 'gr', 'fr', 'pl', 'bl', 'cl', 'gl', 'fl'];
+
+// Rough syllables from spelling: each vowel group is a nucleus. A single
+// consonant between two nuclei starts the next syllable; a cluster splits
+// before its last consonant, or before the last two when they're an onset.
+function splitSyllables(word) {
+  const letters = word.match(/\P{M}\p{M}*/gu) || [];
+  const base = letters.map(letter => letter.normalize('NFD')[0].toLowerCase());
+  // y is a vowel only when no vowel follows it (hoy, but a-yer)
+  const isVowel = index => /[aeiou]/.test(base[index]) ||
+    (base[index] === 'y' && !/[aeiou]/.test(base[index + 1] || ''));
+
+  const nuclei = [];
+  for (let i = 0; i < letters.length; i++) {
+    if (!isVowel(i)) continue;
+    const last = nuclei[nuclei.length - 1];
+    if (last && last.end === i) last.end = i + 1;
+    else nuclei.push({ start: i, end: i + 1 });
+  }
+  if (nuclei.length < 2) return [word];
+
+  const syllables = [];
+  let from = 0;
+  for (let n = 1; n < nuclei.length; n++) {
+    const clusterStart = nuclei[n - 1].end;
+    const clusterEnd = nuclei[n].start;
+    let cut = clusterEnd - 1;
+    if (clusterEnd - clusterStart <= 1) cut = clusterStart;
+    else if (SYLLABLE_ONSETS.includes(base.slice(clusterEnd - 2, clusterEnd).join(''))) cut = clusterEnd - 2;
+    syllables.push(letters.slice(from, cut).join(''));
+    from = cut;
+  }
+  syllables.push(letters.slice(from).join(''));
+  return syllables;
+}
+
+function escapeSSML(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' })[char]);
+}
+
 class AdvancedVoiceSynthesis {
   constructor() {
     this.voiceProfiles = new Map();
@@ -377,6 +992,8 @@ class AdvancedVoiceSynthesis {
     const voiceProfiles = {
       'spanish': {
         'native_female_elder': {
+          name: 'Carmen (storyteller)',
+          gender: 'female',
           characteristics: ['wisdom', 'patience', 'storytelling'],
           pitch: { base: 180, range: 50 },
           speed: 0.85,
@@ -385,6 +1002,8 @@ class AdvancedVoiceSynthesis {
           useCases: ['cultural_stories', 'grammar_explanation']
         },
         'native_male_young': {
+          name: 'Diego (casual)',
+          gender: 'male',
           characteristics: ['energetic', 'casual', 'street_smart'],
           pitch: { base: 120, range: 40 },
           speed: 1.2,
@@ -393,6 +1012,8 @@ class AdvancedVoiceSynthesis {
           useCases: ['slang_teaching', 'casual_conversation']
         },
         'professor_academic': {
+          name: 'Profesor Ruiz (academic)',
+          gender: 'male',
           characteristics: ['precise', 'formal', 'educational'],
           pitch: { base: 150, range: 30 },
           speed: 0.95,
@@ -403,6 +1024,8 @@ class AdvancedVoiceSynthesis {
       },
       'japanese': {
         'native_female_tokyo': {
+          name: 'Yuki (Tokyo)',
+          gender: 'female',
           characteristics: ['polite', 'clear', 'modern'],
           pitch: { base: 200, range: 60 },
           speed: 0.9,
@@ -410,11 +1033,40 @@ class AdvancedVoiceSynthesis {
           accent: 'tokyo_standard',
           useCases: ['business_japanese', 'keigo_instruction']
         }
+      },
+      // Languages without voices of their own get these
+      'default': {
+        'neutral_female': {
+          name: 'Neutral female',
+          gender: 'female',
+          characteristics: ['clear', 'neutral'],
+          pitch: { base: 200, range: 40 },
+          speed: 0.95,
+          emotion: 'calm',
+          accent: 'neutral',
+          useCases: ['vocabulary', 'pronunciation_practice']
+        },
+        'neutral_male': {
+          name: 'Neutral male',
+          gender: 'male',
+          characteristics: ['clear', 'neutral'],
+          pitch: { base: 120, range: 30 },
+          speed: 0.95,
+          emotion: 'calm',
+          accent: 'neutral',
+          useCases: ['vocabulary', 'pronunciation_practice']
+        }
       }
     };
 
-    // Initialize emotional state variations
+    for (const [languageCode, voices] of Object.entries(voiceProfiles)) {
+      this.voiceProfiles.set(languageCode, voices);
+    }
+
+    // Initialize emotional state variations. pitch_mod is a percentage and
+    // speed_mod a multiplier on the voice's own rate.
     this.emotionalStates = new Map([
+      ['neutral', { pitch_mod: 0, speed_mod: 1 }],
       ['encouraging', { pitch_mod: +10, speed_mod: 0.95, warmth: +0.3 }],
       ['corrective', { pitch_mod: -5, speed_mod: 0.85, firmness: +0.2 }],
       ['celebratory', { pitch_mod: +20, speed_mod: 1.1, energy: +0.5 }],
@@ -424,6 +1076,110 @@ class AdvancedVoiceSynthesis {
     console.log('🎤 Advanced voice synthesis system initialized');
   }
 
+  // ----- Voice registry
+
+  listVoices(languageCode) {
+    const voices = this.voiceProfiles.get(languageCode) || this.voiceProfiles.get('default');
+    return Object.entries(voices).map(([id, voice]) => ({ id, ...voice }));
+  }
+
+  getVoice(languageCode, voiceId) {
+    const voices = this.voiceProfiles.get(languageCode) || this.voiceProfiles.get('default');
+    return Object.prototype.hasOwnProperty.call(voices, voiceId) ? { id: voiceId, ...voices[voiceId] } : null;
+  }
+
+  getDefaultVoice(languageCode) {
+    return this.listVoices(languageCode)[0];
+  }
+
+  listEmotions() {
+    return [...this.emotionalStates.keys()];
+  }
+
+  listModes() {
+    return Object.keys(SPEECH_MODES);
+  }
+
+  // Voice profile + emotion + learner mode -> what a TTS provider needs:
+  // the effective rate, the base pitch in Hz, and the pauses to add
+  resolveVoiceSettings(voice, { emotion = 'neutral', mode = 'normal', emphasis = [] } = {}) {
+    const state = this.emotionalStates.get(emotion);
+    const pace = SPEECH_MODES[mode];
+    return {
+      voice: voice.id,
+      name: voice.name,
+      gender: voice.gender,
+      accent: voice.accent,
+      emotion,
+      mode,
+      emphasis,
+      speed: Number((voice.speed * state.speed_mod * pace.rate).toFixed(3)),
+      pitch: Math.round(voice.pitch.base * (1 + state.pitch_mod / 100)),
+      pitchShift: state.pitch_mod,
+      wordBreakMs: pace.wordBreakMs,
+      syllableBreakMs: pace.syllableBreakMs
+    };
+  }
+
+  // ----- SSML
+
+  // The emotion sets the prosody and how long the pauses are (patient speech
+  // pauses longer) and how hard `emphasis` words are stressed (corrective
+  // speech stresses them strongly). Slow mode adds a break between words;
+  // syllable mode also breaks each word into syllables.
+  buildSSML(text, settings, { lang = null } = {}) {
+    const state = this.emotionalStates.get(settings.emotion) || this.emotionalStates.get('neutral');
+    const pauseScale = 1 + (state.steadiness || 0);
+    const emphasisLevel = state.firmness ? 'strong' : 'moderate';
+    const emphasised = new Set((settings.emphasis || []).map(word => word.normalize('NFC').toLowerCase()));
+    const wordBreak = settings.wordBreakMs ? `<break time="${settings.wordBreakMs}ms"/>` : ' ';
+    const syllableBreak = `<break time="${settings.syllableBreakMs}ms"/>`;
+
+    let body = '';
+    let space = false;
+    let afterWord = false;
+    let afterBreak = false;
+    for (const [, word, gap, punctuation] of String(text).normalize('NFC').matchAll(/([\p{L}\p{M}'’]+)|(\s+)|([^\p{L}\p{M}'’\s]+)/gu)) {
+      if (gap) {
+        space = true;
+        continue;
+      }
+
+      if (word) {
+        if (space && afterWord) body += wordBreak;
+        else if (space && !afterBreak) body += ' ';
+        let spoken = settings.syllableBreakMs
+          ? splitSyllables(word).map(escapeSSML).join(syllableBreak)
+          : escapeSSML(word);
+        if (emphasised.has(word.toLowerCase())) spoken = `<emphasis level="${emphasisLevel}">${spoken}</emphasis>`;
+        body += spoken;
+        afterWord = true;
+        afterBreak = false;
+      } else {
+        if (space && !afterBreak) body += ' ';
+        body += escapeSSML(punctuation);
+        afterWord = false;
+        afterBreak = false;
+        if (/[.!?]/.test(punctuation)) {
+          body += `<break time="${Math.round(400 * pauseScale)}ms"/>`;
+          afterBreak = true;
+        } else if (/[,;:]/.test(punctuation)) {
+          body += `<break time="${Math.round(200 * pauseScale)}ms"/>`;
+          afterBreak = true;
+        }
+      }
+      space = false;
+    }
+
+    const prosody = [
+      `rate="${Math.round(settings.speed * 100)}%"`,
+      `pitch="${state.pitch_mod >= 0 ? '+' : ''}${state.pitch_mod}%"`,
+      ...(state.energy ? [`volume="+${(state.energy * 6).toFixed(1)}dB"`] : [])
+    ].join(' ');
+    const langAttribute = lang ? ` xml:lang="${escapeSSML(lang)}"` : '';
+    return `<speak${langAttribute}><prosody ${prosody}>${body.trim()}</prosody></speak>`;
+  }
+
   async synthesizeContextualSpeech(text, languageCode, context) {
     const voiceProfile = this.selectOptimalVoice(languageCode, context);
     const emotionalAdjustment = this.applyEmotionalContext(context);
@@ -579,7 +1335,8 @@ module.exports = {
   BiometricLearningOptimizer,
   AdvancedVoiceSynthesis,
   MultilingualContentGenerator,
-  PerformanceMonitoringSystem
+  PerformanceMonitoringSystem,
+  splitSyllables
 };
 
 // ===================================================================
@@ -9,92 +9,48 @@ const WebSocket = require('ws');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const { pipeline } = require('stream');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const { AdvancedVoiceSynthesis, CulturalImmersionEngine } = require('./additional_backend_features');
 
 // ===================================================================
 // 1. COMPREHENSIVE LANGUAGE DATABASE SYSTEM
 // ===================================================================
 
 class LanguageDatabase {
-  constructor() {
+  constructor(options = {}) {
     this.languages = new Map();
-    this.initializeLanguageData();
+    this.packLoader = new LanguagePackLoader(
+      options.packsDir || process.env.LANGUAGE_PACKS_DIR || path.join(__dirname, 'language_packs')
+    );
+    this.loadErrors = [];
   }
 
   async initializeLanguageData() {
-    // Extensive language data structure
-    const languageData = {
-      // Modern Languages
-      'spanish': {
-        category: 'modern',
-        family: 'romance',
-        speakers: 500000000,
-        countries: ['Spain', 'Mexico', 'Argentina', 'Colombia', 'Peru'],
-        dialects: ['Castilian', 'Mexican', 'Argentinian', 'Colombian'],
-        phonemes: ['r', 'rr', 'ñ', 'ch', 'll'],
-        grammar: {
-          genderSystem: true,
-          verbConjugation: 'complex',
-          wordOrder: 'SVO',
-          cases: 0
-        },
-        culturalContext: {
-          formalityLevels: ['tú', 'usted', 'vos'],
-          greetings: ['Hola', 'Buenos días', 'Buenas tardes'],
-          taboos: ['Direct criticism', 'Personal space'],
-          values: ['Family', 'Respect', 'Hospitality']
-        },
-        slang: {
-          'mexico': ['¿Qué onda?', 'Está padrísimo', 'No manches'],
-          'argentina': ['¿Qué tal?', 'Che', 'Boludo'],
-          'spain': ['¿Qué tal?', 'Tío', 'Guay']
-        }
-      },
-
-      // Ancient Languages
-      'latin': {
-        category: 'ancient',
-        family: 'italic',
-        period: '700 BC - 600 AD',
-        regions: ['Roman Empire'],
-        scripts: ['Latin alphabet'],
-        grammar: {
-          cases: 6,
-          verbConjugation: 'highly complex',
-          wordOrder: 'SOV',
-          genderSystem: true
-        },
-        scholarlyResources: [
-          'Lewis & Short Dictionary',
-          'Oxford Latin Dictionary',
-          'Corpus Inscriptionum Latinarum'
-        ]
-      },
-
-      // Indigenous Languages
-      'navajo': {
-        category: 'indigenous',
-        family: 'na-dene',
-        speakers: 170000,
-        regions: ['Southwestern United States'],
-        endangerment: 'severely endangered',
-        uniqueFeatures: ['Tone language', 'Complex verb system', 'Evidentiality'],
-        culturalSignificance: 'Sacred language, code talkers in WWII',
-        grammar: {
-          verbAspects: ['perfective', 'imperfective', 'iterative', 'optative'],
-          pronounSystem: 'complex',
-          wordOrder: 'SOV'
-        }
-      }
+    // Language data lives in versioned packs under language_packs/
+    const { languages, errors } = await this.packLoader.loadAll();
 
-      // ... Continue for all 7000+ world languages
-    };
+    // Swap the whole map at once so readers never see a half-loaded database
+    this.languages = languages;
+    this.loadErrors = errors;
 
-    // Load language data into memory with indexing
-    for (const [langCode, data] of Object.entries(languageData)) {
-      this.languages.set(langCode, data);
+    for (const { pack, errors: packErrors } of errors) {
+      console.warn(`Language pack ${pack} rejected: ${packErrors.join('; ')}`);
     }
 
     console.log(`Loaded ${this.languages.size} languages into database`);
+    return { loaded: this.languages.size, errors };
+  }
+
+  // Re-read every pack from disk without restarting the server
+  async reload() {
+    return this.initializeLanguageData();
   }
 
   getLanguage(code) {
@@ -112,22 +68,428 @@ class LanguageDatabase {
     }
     return results;
   }
+
+  // Ranked full-text search with attribute filters, facet counts and cursor paging
+  queryLanguages({ search = '', filters = [], category = null, family = null, cursor = null, limit = 20 } = {}) {
+    const tokens = search.toLowerCase().split(/\s+/).filter(Boolean);
+    const offset = cursor ? decodeSearchCursor(cursor) : 0;
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    // Facets ignore their own dimension so the picker can still offer the other values
+    const candidates = [];
+    for (const [code, data] of this.languages) {
+      if (!filters.every(filter => matchesLanguageFilter(data, filter))) continue;
+      const score = scoreLanguageMatch(code, data, tokens);
+      if (score === null) continue;
+      candidates.push({ code, data, score });
+    }
+
+    const facets = { category: {}, family: {} };
+    for (const { data } of candidates) {
+      if (!family || data.family === family) {
+        facets.category[data.category] = (facets.category[data.category] || 0) + 1;
+      }
+      if (!category || data.category === category) {
+        facets.family[data.family] = (facets.family[data.family] || 0) + 1;
+      }
+    }
+
+    const matches = candidates
+      .filter(({ data }) => (!category || data.category === category) && (!family || data.family === family))
+      .sort((a, b) => b.score - a.score || a.code.localeCompare(b.code));
+
+    const page = matches.slice(offset, offset + pageSize);
+    const nextOffset = offset + page.length;
+
+    return {
+      languages: page.map(({ code, data, score }) => ({ code, ...data, score })),
+      total: matches.length,
+      facets,
+      nextCursor: nextOffset < matches.length ? encodeSearchCursor(nextOffset) : null
+    };
+  }
+}
+
+// Field weights for ranking: [exact match, prefix or substring match]
+const LANGUAGE_SEARCH_WEIGHTS = {
+  code: [100, 60],
+  name: [100, 60],
+  nativeName: [80, 40],
+  family: [25, 15],
+  dialects: [30, 20],
+  countries: [30, 20],
+  regions: [30, 20],
+  scripts: [20, 10],
+  endangerment: [15, 10]
+};
+
+// Returns null when a token matches nothing, so multi-word searches are AND-ed
+function scoreLanguageMatch(code, data, tokens) {
+  let total = 0;
+
+  for (const token of tokens) {
+    let best = 0;
+    for (const [field, [exact, partial]] of Object.entries(LANGUAGE_SEARCH_WEIGHTS)) {
+      const raw = field === 'code' ? code : data[field];
+      if (raw === undefined) continue;
+
+      for (const value of [].concat(raw)) {
+        const text = String(value).toLowerCase();
+        if (text === token) {
+          best = Math.max(best, exact);
+        } else if (text.startsWith(token)) {
+          best = Math.max(best, partial);
+        } else if (text.includes(token)) {
+          best = Math.max(best, partial / 2);
+        }
+      }
+    }
+
+    // Grammar feature values ("SOV", "complex") are searchable but rank lowest
+    if (best === 0 && data.grammar &&
+        Object.values(data.grammar).some(value => [].concat(value).some(v => String(v).toLowerCase() === token))) {
+      best = 5;
+    }
+
+    if (best === 0) return null;
+    total += best;
+  }
+
+  return total;
+}
+
+// Plural list fields can be filtered by their singular name, e.g. country=Mexico
+const LANGUAGE_FILTER_ALIASES = {
+  country: 'countries',
+  region: 'regions',
+  dialect: 'dialects',
+  script: 'scripts',
+  feature: 'uniqueFeatures'
+};
+
+// Paging and search controls on /api/languages; every other parameter is a filter
+const LANGUAGE_QUERY_CONTROLS = ['category', 'family', 'search', 'cursor', 'limit'];
+
+// Repeated parameters (?search=a&search=b) reach the route as arrays
+function checkLanguageQueryControls(query) {
+  for (const name of LANGUAGE_QUERY_CONTROLS) {
+    if (query[name] !== undefined && typeof query[name] !== 'string') {
+      throw new Error(`${name} must be a single string`);
+    }
+  }
+}
+
+// Parses "wordOrder=SOV&cases>=4" style query strings into filter objects
+function parseLanguageFilters(queryString, reserved = []) {
+  const filters = [];
+
+  for (const part of (queryString || '').split('&')) {
+    if (!part) continue;
+    const decoded = decodeURIComponent(part.replace(/\+/g, ' '));
+    const match = decoded.match(/^([\w.]+?)(>=|<=|!=|>|<|=)(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid filter expression: ${decoded}`);
+    }
+
+    const [, field, op, value] = match;
+    if (reserved.includes(field)) continue;
+    filters.push({ field, op, value });
+  }
+
+  return filters;
+}
+
+function matchesLanguageFilter(data, { field, op, value }) {
+  const key = LANGUAGE_FILTER_ALIASES[field] || field;
+  const actual = data[key] !== undefined ? data[key] : data.grammar?.[key];
+  if (actual === undefined) return op === '!=';
+
+  if (['>', '<', '>=', '<='].includes(op)) {
+    const left = Number(actual);
+    const right = Number(value);
+    if (Number.isNaN(left) || Number.isNaN(right)) return false;
+    return op === '>' ? left > right
+      : op === '<' ? left < right
+      : op === '>=' ? left >= right
+      : left <= right;
+  }
+
+  // Lists match when any entry equals the value
+  const equal = [].concat(actual).some(entry => String(entry).toLowerCase() === value.toLowerCase());
+  return op === '!=' ? !equal : equal;
+}
+
+function encodeSearchCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeSearchCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid cursor');
+}
+
+// ===================================================================
+// 1.1 LANGUAGE PACK LOADER
+// ===================================================================
+
+// Shape every pack must satisfy; nested objects are validated recursively
+const LANGUAGE_PACK_SCHEMA = {
+  code: { type: 'string', required: true, pattern: /^[a-z][a-z0-9_-]*$/ },
+  version: { type: 'string', required: true, pattern: /^\d+\.\d+\.\d+$/ },
+  name: { type: 'string' },
+  nativeName: { type: 'string' },
+  // ISO 639 code for hosted speech and translation APIs
+  isoCode: { type: 'string', pattern: /^[a-z]{2,3}$/ },
+  category: {
+    type: 'string',
+    required: true,
+    enum: ['modern', 'ancient', 'indigenous', 'regional', 'constructed']
+  },
+  family: { type: 'string', required: true },
+  speakers: { type: 'number' },
+  countries: { type: 'array', items: 'string' },
+  regions: { type: 'array', items: 'string' },
+  dialects: { type: 'array', items: 'string' },
+  scripts: { type: 'array', items: 'string' },
+  endangerment: { type: 'string' },
+  phonemes: { type: 'array', items: 'string' },
+  grammar: {
+    type: 'object',
+    required: true,
+    properties: {
+      genderSystem: { type: 'boolean' },
+      verbConjugation: { type: 'string' },
+      wordOrder: { type: 'string', enum: ['SVO', 'SOV', 'VSO', 'VOS', 'OVS', 'OSV', 'free'] },
+      cases: { type: 'number' },
+      verbAspects: { type: 'array', items: 'string' },
+      pronounSystem: { type: 'string' }
+    }
+  },
+  culturalContext: {
+    type: 'object',
+    properties: {
+      formalityLevels: { type: 'array', items: 'string' },
+      greetings: { type: 'array', items: 'string' },
+      taboos: { type: 'array', items: 'string' },
+      values: { type: 'array', items: 'string' }
+    }
+  },
+  // Region name -> list of slang expressions
+  slang: { type: 'object', values: { type: 'array', items: 'string' } },
+  // Grapheme-to-phoneme rules and learner tips, used by GraphemeToPhoneme
+  pronunciation: {
+    type: 'object',
+    properties: {
+      rules: { type: 'array', required: true, items: 'object' },
+      allophones: { type: 'object', values: { type: 'array', items: 'string' } },
+      similar: { type: 'object', values: { type: 'array', items: 'string' } },
+      tips: { type: 'array', items: 'object' }
+    }
+  },
+  // How pitch carries meaning, used by SpeechProcessingSystem.analyzeProsody.
+  // Tone languages can list vowels and the marks that spell each tone.
+  prosody: {
+    type: 'object',
+    properties: {
+      system: { type: 'string', required: true, enum: ['stress', 'tone', 'pitch-accent'] },
+      vowels: { type: 'string' },
+      toneMarks: { type: 'object', values: { type: 'string' } },
+      defaultTone: { type: 'string' },
+      toneTip: { type: 'string' }
+    }
+  },
+  // Word forms per formality level, used by FormalityTransformer
+  formality: {
+    type: 'object',
+    properties: {
+      registers: { type: 'object', required: true, values: { type: 'object' } },
+      defaults: { type: 'object', values: { type: 'string' } },
+      regionDefaults: { type: 'object', values: { type: 'object' } },
+      forms: { type: 'array', required: true, items: 'object' },
+      conjugations: { type: 'object', values: { type: 'array', items: 'object' } },
+      regularVerbs: { type: 'array', items: 'string' }
+    }
+  }
+};
+
+class LanguagePackLoader {
+  constructor(packsDir) {
+    this.packsDir = packsDir;
+  }
+
+  async loadAll() {
+    const languages = new Map();
+    const versions = new Map();
+    const errors = [];
+
+    let files;
+    try {
+      files = (await fs.readdir(this.packsDir)).filter(file => /\.(json|ya?ml)$/i.test(file)).sort();
+    } catch (error) {
+      errors.push({ pack: this.packsDir, errors: [`Cannot read packs directory: ${error.message}`] });
+      return { languages, errors };
+    }
+
+    for (const file of files) {
+      // A pack that fails to read or validate is skipped; the others still load
+      let pack;
+      let packErrors;
+      try {
+        pack = await this.loadPack(file);
+        packErrors = this.validatePack(pack);
+      } catch (error) {
+        errors.push({ pack: file, errors: [error.message] });
+        continue;
+      }
+
+      if (packErrors.length > 0) {
+        errors.push({ pack: file, errors: packErrors });
+        continue;
+      }
+
+      // Several versions of a pack may sit side by side; the newest wins
+      const current = versions.get(pack.code);
+      if (current && compareVersions(current.version, pack.version) >= 0) {
+        continue;
+      }
+
+      const { version, ...data } = pack;
+      languages.set(pack.code, { ...data, packVersion: version, packFile: file });
+      versions.set(pack.code, { version, file });
+    }
+
+    return { languages, errors };
+  }
+
+  async loadPack(file) {
+    const raw = await fs.readFile(path.join(this.packsDir, file), 'utf8');
+
+    if (/\.ya?ml$/i.test(file)) {
+      // js-yaml is only needed by deployments that ship YAML packs
+      const yaml = require('js-yaml');
+      return yaml.load(raw);
+    }
+
+    return JSON.parse(raw);
+  }
+
+  validatePack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return ['Pack must be an object'];
+    }
+    return validateAgainstSchema(pack, LANGUAGE_PACK_SCHEMA, '');
+  }
+}
+
+function validateAgainstSchema(value, schema, prefix) {
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const fieldPath = prefix ? `${prefix}.${field}` : field;
+    if (value[field] === undefined) {
+      if (rule.required) errors.push(`${fieldPath} is required`);
+      continue;
+    }
+    errors.push(...validateField(value[field], rule, fieldPath));
+  }
+
+  return errors;
+}
+
+// null, arrays and non-plain objects (a YAML date, say) would otherwise pass as objects
+function schemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value !== 'object') return typeof value;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null ? 'object' : 'non-plain object';
+}
+
+function validateField(value, rule, fieldPath) {
+  const actualType = schemaType(value);
+  if (actualType !== rule.type) {
+    return [`${fieldPath} must be ${rule.type}, got ${actualType}`];
+  }
+
+  const errors = [];
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`${fieldPath} must be one of ${rule.enum.join(', ')}`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push(`${fieldPath} has invalid format`);
+  }
+  if (rule.items) {
+    value.forEach((item, index) => {
+      if (schemaType(item) !== rule.items) {
+        errors.push(`${fieldPath}[${index}] must be ${rule.items}`);
+      }
+    });
+  }
+  if (rule.properties) {
+    errors.push(...validateAgainstSchema(value, rule.properties, fieldPath));
+  }
+  if (rule.values) {
+    for (const [key, entry] of Object.entries(value)) {
+      errors.push(...validateField(entry, rule.values, `${fieldPath}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
 }
 
 // ===================================================================
 // 2. ADVANCED AI CONVERSATION ENGINE
 // ===================================================================
 
+// Longest learner message a conversation turn accepts
+const MAX_CONVERSATION_INPUT_LENGTH = 2000;
+
+function checkConversationInput(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw httpError(400, 'message is required');
+  }
+  if (input.length > MAX_CONVERSATION_INPUT_LENGTH) {
+    throw httpError(413, `message can be at most ${MAX_CONVERSATION_INPUT_LENGTH} characters`);
+  }
+}
+
 class AIConversationEngine {
-  constructor(languageDB) {
+  constructor(languageDB, options = {}) {
     this.languageDB = languageDB;
-    this.conversationContexts = new Map();
+    // Recently used active sessions by id; every change is also written through
+    // to the store, so an evicted session is simply re-read on its next turn
+    this.conversationContexts = new LRUCache({
+      maxEntries: options.sessionCacheMaxEntries || 1000,
+      ttlMs: (options.sessionIdleMinutes || 30) * 60 * 1000
+    });
     this.learningProfiles = new Map();
+    this.store = options.store || new MemoryStorageAdapter();
+    this.promptBuilder = new DialoguePromptBuilder();
+    this.dialogueProvider = options.dialogueProvider || createDialogueProvider();
+    this.grammarEngine = new GrammarRuleEngine(
+      options.grammarRulesDir || process.env.GRAMMAR_RULES_DIR || path.join(__dirname, 'grammar_rules')
+    );
+    this.grammarEngine.initialize().catch(error => {
+      console.error('Failed to load grammar rules:', error);
+    });
   }
 
-  async generateResponse(userId, userInput, context) {
-    const profile = this.learningProfiles.get(userId);
-    const language = this.languageDB.getLanguage(profile.targetLanguage);
+  async generateResponse(userId, userInput, context = {}) {
+    const { profile, language } = this.resolveLearner(userId, context);
     
     // Analyze user input for errors and improvements
     const analysis = await this.analyzeUserInput(userInput, language, profile);
@@ -136,10 +498,63 @@ class AIConversationEngine {
     const response = await this.generateContextualResponse(context, language, profile);
     
     // Apply learning science principles
+    return { response, ...this.buildEducationalFeedback(analysis, profile) };
+  }
+
+  // Same result as generateResponse, but reply text is handed to onDelta as it is
+  // produced and the analysis to onAnalysis as soon as it is ready
+  async streamResponse(userId, userInput, context = {}, { onDelta = () => {}, onAnalysis = () => {}, signal } = {}) {
+    const { profile, language } = this.resolveLearner(userId, context);
+
+    const feedback = this.analyzeUserInput(userInput, language, profile).then(analysis => {
+      const result = this.buildEducationalFeedback(analysis, profile);
+      if (!signal?.aborted) onAnalysis(result);
+      return result;
+    });
+    // Awaited below only if the reply completes; this keeps a failed analysis
+    // from going unhandled when the stream fails or is cancelled first
+    feedback.catch(() => {});
+
+    const prompt = this.promptBuilder.build(context, language, profile);
+    let response = '';
+    try {
+      for await (const delta of this.dialogueProvider.stream(prompt, { signal })) {
+        if (signal?.aborted) break;
+        response += delta;
+        onDelta(delta);
+      }
+    } catch (error) {
+      // Providers report an abort in their own way (axios throws CanceledError)
+      if (!signal?.aborted) throw error;
+    }
+
+    if (signal?.aborted) {
+      const error = new Error('Conversation turn cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    return { response: response.trim(), ...await feedback };
+  }
+
+  resolveLearner(userId, context) {
+    // Without a stored learning profile the session settings describe the learner
+    const profile = this.learningProfiles.get(userId) || {
+      userId,
+      targetLanguage: context.targetLanguage,
+      proficiencyLevel: context.level || 'beginner'
+    };
+    const language = this.languageDB.getLanguage(profile.targetLanguage || '');
+    if (!language) {
+      throw httpError(400, `Unknown target language: ${profile.targetLanguage}`);
+    }
+    return { profile, language };
+  }
+
+  buildEducationalFeedback(analysis, profile) {
     const educationalContent = this.applyLearningScience(analysis, profile);
     
     return {
-      response: response,
       analysis: analysis,
       corrections: educationalContent.corrections,
       culturalNotes: educationalContent.culturalNotes,
@@ -148,6 +563,124 @@ class AIConversationEngine {
     };
   }
 
+  async generateContextualResponse(context, language, profile) {
+    const prompt = this.promptBuilder.build(context, language, profile);
+    return this.dialogueProvider.generate(prompt);
+  }
+
+  // ===== CONVERSATION SESSIONS =====
+
+  async startSession(userId, { targetLanguage, topic = 'daily_conversation', level = 'beginner', scenario = null } = {}) {
+    if (typeof targetLanguage !== 'string' || !this.languageDB.getLanguage(targetLanguage)) {
+      throw httpError(400, `Unknown target language: ${targetLanguage}`);
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      userId,
+      targetLanguage: targetLanguage.toLowerCase(),
+      topic,
+      level,
+      scenario,
+      status: 'active',
+      createdAt: now,
+      updatedAt: now,
+      turns: []
+    };
+
+    await this.saveSession(session);
+    return session;
+  }
+
+  async getSession(sessionId) {
+    const cached = this.conversationContexts.get(sessionId);
+    if (cached) return cached;
+
+    const session = await this.store.get('conversationSessions', sessionId);
+    if (session && session.status === 'active') {
+      this.conversationContexts.set(sessionId, session);
+    }
+    return session;
+  }
+
+  async saveSession(session) {
+    if (session.status === 'active') {
+      this.conversationContexts.set(session.id, session);
+    } else {
+      this.conversationContexts.remove(session.id);
+    }
+    await this.store.put('conversationSessions', session.id, session);
+  }
+
+  // Summaries only; fetch a single session for its transcript
+  async listSessions(userId) {
+    const sessions = await this.store.list('conversationSessions');
+    return sessions
+      .filter(session => session.userId === userId)
+      .map(({ turns, ...summary }) => ({
+        ...summary,
+        turnCount: turns.length,
+        lastTurnAt: turns.length > 0 ? turns[turns.length - 1].at : null
+      }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // Runs one learner turn through the engine and appends both sides to the transcript.
+  // Passing streamOptions streams the reply; a cancelled turn is not recorded.
+  async addTurn(session, userInput, streamOptions = null) {
+    if (session.status !== 'active') {
+      throw httpError(409, 'Conversation session has ended');
+    }
+    checkConversationInput(userInput);
+
+    const context = this.buildSessionContext(session, userInput);
+    const result = streamOptions
+      ? await this.streamResponse(session.userId, userInput, context, streamOptions)
+      : await this.generateResponse(session.userId, userInput, context);
+    const at = new Date().toISOString();
+
+    session.turns.push(
+      {
+        role: 'learner',
+        text: userInput,
+        at,
+        analysis: result.analysis,
+        corrections: result.corrections
+      },
+      {
+        role: 'assistant',
+        text: result.response,
+        at,
+        culturalNotes: result.culturalNotes,
+        vocabularyIntroduction: result.vocabularyIntroduction
+      }
+    );
+    session.updatedAt = at;
+    await this.saveSession(session);
+
+    return { sessionId: session.id, ...result };
+  }
+
+  async endSession(session) {
+    session.status = 'ended';
+    session.updatedAt = new Date().toISOString();
+    await this.saveSession(session);
+    return session;
+  }
+
+  buildSessionContext(session, latestInput) {
+    return {
+      sessionId: session.id,
+      targetLanguage: session.targetLanguage,
+      topic: session.topic,
+      level: session.level,
+      scenario: session.scenario,
+      recentTurns: session.turns.slice(-10).map(({ role, text }) => ({ role, text })),
+      latestInput
+    };
+  }
+
   async analyzeUserInput(input, language, profile) {
     // Comprehensive linguistic analysis
     return {
@@ -161,14 +694,81 @@ class AIConversationEngine {
   }
 
   detectGrammarErrors(input, language) {
-    // Advanced grammar checking algorithm
-    const errors = [];
+    // Rule packs are declarative; see grammar_rules/ and GrammarRuleEngine
     const rules = this.getGrammarRules(language);
-    
-    // Implement sophisticated parsing and error detection
-    // This would integrate with linguistic rule engines
-    
-    return errors;
+    if (!rules) return [];
+
+    return this.grammarEngine.check(input, rules);
+  }
+
+  getGrammarRules(language) {
+    return language ? this.grammarEngine.getRules(language.code) : null;
+  }
+
+  // Grammar errors become corrections the learner can later review as memory items
+  generateSpacedRepetitionCorrections(analysis, profile) {
+    return analysis.grammarErrors.map(error => ({
+      type: 'grammar',
+      ruleId: error.ruleId,
+      category: error.category,
+      span: error.span,
+      original: error.text,
+      suggestion: error.suggestion,
+      explanation: error.explanation,
+      reviewItemId: `grammar:${error.ruleId}`
+    }));
+  }
+
+  // Typed input carries no audio; pronunciation issues come from the speech pipeline
+  analyzePronunciation(input, language) {
+    return [];
+  }
+
+  assessVocabularyLevel(input, language) {
+    const words = input.toLowerCase().match(/\p{L}+/gu) || [];
+    const uniqueWords = new Set(words).size;
+    const averageLength = words.length ? words.reduce((sum, word) => sum + word.length, 0) / words.length : 0;
+
+    let level = 'intermediate';
+    if (words.length < 4 || averageLength < 4) level = 'basic';
+    else if (words.length > 15 && averageLength > 5.5) level = 'advanced';
+
+    return { wordCount: words.length, uniqueWords, averageWordLength: Number(averageLength.toFixed(2)), level };
+  }
+
+  // Register is read from the language's own formality levels (tú / usted / vos)
+  checkCulturalContext(input, language) {
+    const words = new Set(input.toLowerCase().match(/\p{L}+/gu) || []);
+    const levels = language.culturalContext?.formalityLevels || [];
+    const used = levels.filter(level => words.has(level));
+    const notes = [];
+
+    if (used.length > 1) {
+      notes.push(`You mixed ${used.join(' and ')} in one message; keep to one register with the same person.`);
+    }
+    const greeting = (language.culturalContext?.greetings || []).find(g => input.toLowerCase().includes(g.toLowerCase()));
+    if (greeting) {
+      notes.push(`"${greeting}" is a natural greeting here.`);
+    }
+
+    return { appropriate: used.length <= 1, register: used[0] || 'neutral', notes };
+  }
+
+  calculateProgress(input, profile) {
+    const words = input.match(/\p{L}+/gu) || [];
+    return { wordsProduced: words.length, level: profile.proficiencyLevel };
+  }
+
+  generateImprovements(input, language, profile) {
+    const improvements = [];
+    const vocabulary = this.assessVocabularyLevel(input, language);
+    if (vocabulary.level === 'basic' && profile.proficiencyLevel !== 'beginner' && profile.proficiencyLevel !== 'absolute_beginner') {
+      improvements.push('Try answering in a full sentence to practice connecting ideas.');
+    }
+    if (vocabulary.wordCount > 0 && vocabulary.uniqueWords / vocabulary.wordCount < 0.6) {
+      improvements.push('Vary your vocabulary instead of repeating the same words.');
+    }
+    return improvements;
   }
 
   // Cognitive Science-Based Learning Algorithms
@@ -180,467 +780,6997 @@ class AIConversationEngine {
       pronunciation: this.generatePhoneticGuidance(analysis)
     };
   }
+
+  generateContextualCulturalNotes(analysis) {
+    return analysis.culturalAppropriatenesss.notes;
+  }
+
+  // New vocabulary is introduced by the dialogue itself, not appended after it
+  introduceVocabularyStrategically(analysis, profile) {
+    return [];
+  }
+
+  generatePhoneticGuidance(analysis) {
+    return analysis.pronunciationIssues;
+  }
 }
 
 // ===================================================================
-// 3. REAL-TIME SPEECH PROCESSING SYSTEM
+// 2.1 DIALOGUE PROVIDERS
 // ===================================================================
 
-class SpeechProcessingSystem {
-  constructor() {
-    this.activeConnections = new Map();
-    this.speechAnalysisQueue = [];
+// Turns session context into chat messages plus structured metadata.
+// Remote models read the messages; the local provider reads the metadata.
+class DialoguePromptBuilder {
+  constructor({ maxTurns = 10 } = {}) {
+    this.maxTurns = maxTurns;
   }
 
-  // Real-time speech analysis
-  async processSpeechInput(audioBuffer, languageCode, userId) {
-    try {
-      // Step 1: Speech-to-Text (requires external API)
-      const transcription = await this.speechToText(audioBuffer, languageCode);
-      
-      // Step 2: Pronunciation Analysis
-      const pronunciationAnalysis = await this.analyzePronunciation(
-        audioBuffer, 
-        transcription, 
-        languageCode
-      );
-      
-      // Step 3: Real-time feedback generation
-      const feedback = this.generateRealTimeFeedback(pronunciationAnalysis);
-      
-      return {
-        transcription,
-        pronunciationScore: pronunciationAnalysis.overallScore,
-        phoneticBreakdown: pronunciationAnalysis.phonemes,
-        suggestions: feedback.suggestions,
-        corrections: feedback.corrections
-      };
-      
-    } catch (error) {
-      console.error('Speech processing error:', error);
-      throw error;
+  build(context, language, profile) {
+    const languageName = language.name || language.code;
+    const level = profile.proficiencyLevel || context.level || 'beginner';
+    const recentTurns = (context.recentTurns || []).slice(-this.maxTurns);
+
+    const messages = [
+      { role: 'system', content: this.buildSystemPrompt(context, language, languageName, level) },
+      ...recentTurns.map(turn => ({
+        role: turn.role === 'assistant' ? 'assistant' : 'user',
+        content: turn.text
+      }))
+    ];
+    if (context.latestInput) {
+      messages.push({ role: 'user', content: context.latestInput });
     }
-  }
 
-  // Pronunciation analysis using acoustic models
-  async analyzePronunciation(audioBuffer, transcription, languageCode) {
-    // Advanced phonetic analysis
-    const language = this.languageDB.getLanguage(languageCode);
-    const expectedPhonemes = this.getExpectedPhonemes(transcription, language);
-    const actualPhonemes = await this.extractPhonemes(audioBuffer);
-    
     return {
-      overallScore: this.calculatePronunciationScore(expectedPhonemes, actualPhonemes),
-      phonemes: this.comparePhonemes(expectedPhonemes, actualPhonemes),
-      prosody: this.analyzeProsody(audioBuffer, language),
-      fluency: this.calculateFluencyMetrics(audioBuffer, transcription)
+      messages,
+      metadata: {
+        languageCode: language.code,
+        languageName,
+        level,
+        topic: context.topic || 'daily_conversation',
+        scenario: context.scenario || null,
+        latestInput: context.latestInput || '',
+        turnNumber: recentTurns.filter(turn => turn.role !== 'assistant').length + 1
+      }
     };
   }
 
-  // Text-to-Speech with multiple voices
-  async generateSpeech(text, languageCode, voiceProfile, userId) {
-    const voiceSettings = this.getVoiceSettings(voiceProfile, languageCode);
-    
-    // This would integrate with TTS services
-    // For now, return configuration for frontend
-    return {
-      audioUrl: await this.synthesizeSpeech(text, voiceSettings),
-      duration: this.estimateDuration(text),
-      voiceCharacteristics: voiceSettings
-    };
+  buildSystemPrompt(context, language, languageName, level) {
+    const lines = [
+      `You are a friendly native ${languageName} conversation partner for a learner at the ${level.replace(/_/g, ' ')} level.`,
+      `Reply only in ${languageName}, in one to three sentences, using vocabulary and grammar suited to that level.`,
+      `Keep the conversation on the topic "${(context.topic || 'daily_conversation').replace(/_/g, ' ')}" and end with a question that invites the learner to answer.`,
+      'Do not correct the learner in your reply; corrections are shown separately.'
+    ];
+
+    const scenario = context.scenario;
+    if (scenario) {
+      lines.push(typeof scenario === 'string'
+        ? `Role-play scenario: ${scenario.replace(/_/g, ' ')}.`
+        : `Role-play scenario: ${scenario.description || scenario.name}.`);
+      for (const note of scenario.culturalNotes || []) {
+        lines.push(`Cultural note: ${note}`);
+      }
+    }
+
+    const culture = language.culturalContext;
+    if (culture?.formalityLevels?.length) {
+      lines.push(`Registers in use: ${culture.formalityLevels.join(', ')}. Match the register the learner uses.`);
+    }
+    if (culture?.values?.length) {
+      lines.push(`Let these cultural values show naturally: ${culture.values.join(', ')}.`);
+    }
+
+    return lines.join('\n');
   }
 }
 
-// ===================================================================
-// 4. REAL-TIME TRANSLATION ENGINE
-// ===================================================================
+class DialogueProvider {
+  // prompt: { messages, metadata } from DialoguePromptBuilder; resolves to the reply text
+  async generate(prompt) {
+    throw new Error('Not implemented');
+  }
 
-class TranslationEngine {
-  constructor(languageDB) {
-    this.languageDB = languageDB;
-    this.translationCache = new Map();
-    this.contextAwareTranslations = new Map();
+  // Yields the reply in pieces. Providers without native streaming send it whole.
+  async *stream(prompt, { signal } = {}) {
+    yield await this.generate(prompt);
   }
+}
 
-  async translateText(text, fromLang, toLang, context = {}) {
-    const cacheKey = `${fromLang}-${toLang}-${text}`;
-    
-    // Check cache first
-    if (this.translationCache.has(cacheKey)) {
-      return this.translationCache.get(cacheKey);
-    }
+// Canned replies per language, level and topic for offline development and tests
+const LOCAL_DIALOGUE_TEMPLATES = {
+  spanish: {
+    beginner: {
+      daily_conversation: [
+        '¡Hola! Me llamo Sofía. ¿Cómo te llamas?',
+        '¡Qué bien! Yo estoy muy contenta hoy. ¿Y tú, cómo estás?',
+        '¿De dónde eres? Yo soy de México.'
+      ],
+      travel: [
+        '¿Dónde está el hotel? Yo busco la estación de tren.',
+        '¿Adónde quieres viajar este año?'
+      ],
+      food: [
+        '¿Cuál es tu comida favorita? A mí me gustan mucho los tacos.',
+        '¿Qué te gusta desayunar?'
+      ]
+    },
+    intermediate: {
+      daily_conversation: [
+        '¿Qué planes tienes para el fin de semana? Me encantaría conocer tus aficiones.',
+        'Cuéntame, ¿qué fue lo más interesante que hiciste esta semana?'
+      ],
+      business: [
+        'En mi opinión, deberíamos considerar las implicaciones culturales de esta propuesta. ¿Qué piensas tú?'
+      ]
+    },
+    fallback: ['Interesante. Cuéntame un poco más, por favor.', '¿Y qué más? Me gustaría saber tu opinión.']
+  },
+  latin: {
+    fallback: ['Salve! Quid agis hodie?', 'Bene dixisti. Narra mihi plura, quaeso.']
+  },
+  navajo: {
+    fallback: ['Yáʼátʼééh! Haash yiníyé?', 'Aooʼ. Tʼáá íiyisíí ahéheeʼ.']
+  }
+};
 
-    // Context-aware translation
-    const translation = await this.performContextualTranslation(
-      text, fromLang, toLang, context
-    );
+class LocalTemplateProvider extends DialogueProvider {
+  constructor(templates = LOCAL_DIALOGUE_TEMPLATES, { chunkDelayMs = 0 } = {}) {
+    super();
+    this.templates = templates;
+    // Optional pause between streamed words to mimic a real model's latency
+    this.chunkDelayMs = chunkDelayMs;
+  }
 
-    // Cache result
-    this.translationCache.set(cacheKey, translation);
-    
-    return translation;
+  async *stream(prompt, { signal } = {}) {
+    const reply = await this.generate(prompt);
+    for (const word of reply.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return;
+      if (this.chunkDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+      }
+      yield word;
+    }
   }
 
-  async performContextualTranslation(text, fromLang, toLang, context) {
-    const fromLanguage = this.languageDB.getLanguage(fromLang);
-    const toLanguage = this.languageDB.getLanguage(toLang);
-    
-    // Consider cultural context, formality levels, regional variations
-    const culturalAdaptation = this.adaptForCulture(text, fromLanguage, toLanguage);
-    const formalityAdjustment = this.adjustFormality(culturalAdaptation, context);
-    const regionalVariation = this.applyRegionalVariation(formalityAdjustment, toLang, context);
-    
-    return {
-      translation: regionalVariation,
-      confidence: this.calculateConfidence(text, fromLang, toLang),
-      alternatives: await this.generateAlternatives(text, fromLang, toLang),
-      culturalNotes: this.generateCulturalNotes(text, fromLanguage, toLanguage),
-      formality: context.formality || 'neutral'
-    };
+  // Same input and turn number always give the same reply
+  async generate({ metadata }) {
+    const language = this.templates[metadata.languageCode] || {};
+    const candidates = language[metadata.level]?.[metadata.topic] || language.fallback;
+    if (!candidates) {
+      return `Let's practice! Tell me about your day in ${metadata.languageName}.`;
+    }
+
+    const seed = crypto.createHash('sha1').update(`${metadata.latestInput}|${metadata.turnNumber}`).digest();
+    return candidates[seed.readUInt32BE(0) % candidates.length];
   }
 }
 
-// ===================================================================
-// 5. USER PROGRESS TRACKING & ANALYTICS
-// ===================================================================
-
-class ProgressTrackingSystem {
-  constructor() {
-    this.userProfiles = new Map();
-    this.learningAnalytics = new Map();
-    this.achievements = new Map();
+// Any server speaking the OpenAI chat completions API (vLLM, llama.cpp, Ollama, LM Studio...)
+class OpenAICompatibleProvider extends DialogueProvider {
+  constructor({ baseUrl, model, apiKey = null, temperature = 0.7, maxTokens = 256, timeoutMs = 30000 }) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.timeoutMs = timeoutMs;
   }
 
-  async updateUserProgress(userId, sessionData) {
-    const profile = this.userProfiles.get(userId) || this.createNewProfile(userId);
-    
-    // Update learning metrics
-    profile.totalStudyTime += sessionData.duration;
-    profile.wordsLearned += sessionData.newVocabulary.length;
-    profile.conversationTurns += sessionData.conversationTurns;
-    
-    // Apply spaced repetition algorithm
-    this.updateSpacedRepetition(profile, sessionData);
-    
-    // Calculate proficiency improvements
-    const proficiencyGains = this.calculateProficiencyGains(profile, sessionData);
-    
-    // Update achievement system
-    this.checkAchievements(userId, profile);
-    
-    return {
-      currentLevel: profile.proficiencyLevel,
-      progressPercentage: this.calculateProgressPercentage(profile),
-      weeklyGoalProgress: this.calculateWeeklyProgress(profile),
-      recommendations: this.generatePersonalizedRecommendations(profile),
-      achievements: this.getRecentAchievements(userId)
-    };
+  async generate({ messages }) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    }, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: this.timeoutMs
+    });
+
+    const reply = response.data?.choices?.[0]?.message?.content;
+    if (typeof reply !== 'string') {
+      throw new Error('Dialogue provider returned no message content');
+    }
+    return reply.trim();
   }
 
-  // Spaced Repetition Algorithm (Based on SM-2 Algorithm)
-  updateSpacedRepetition(profile, sessionData) {
-    for (const item of sessionData.reviewedItems) {
-      const memoryItem = profile.memoryItems.get(item.id) || {
-        interval: 1,
-        repetition: 0,
-        easiness: 2.5,
-        nextReview: new Date()
-      };
+  // Server-sent events: one `data: {json}` line per chunk, terminated by `data: [DONE]`
+  async *stream({ messages }, { signal } = {}) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      stream: true
+    }, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: this.timeoutMs,
+      responseType: 'stream',
+      signal
+    });
 
-      // Update based on performance
-      if (item.performance >= 3) {
-        if (memoryItem.repetition === 0) {
-          memoryItem.interval = 1;
-        } else if (memoryItem.repetition === 1) {
-          memoryItem.interval = 6;
-        } else {
-          memoryItem.interval = Math.round(memoryItem.interval * memoryItem.easiness);
-        }
-        memoryItem.repetition += 1;
-      } else {
-        memoryItem.repetition = 0;
-        memoryItem.interval = 1;
-      }
+    let buffered = '';
+    for await (const chunk of response.data) {
+      buffered += chunk.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
 
-      // Update easiness factor
-      memoryItem.easiness = memoryItem.easiness + (0.1 - (5 - item.performance) * (0.08 + (5 - item.performance) * 0.02));
-      
-      if (memoryItem.easiness < 1.3) {
-        memoryItem.easiness = 1.3;
-      }
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload) continue;
+        if (payload === '[DONE]') return;
 
-      // Set next review date
-      memoryItem.nextReview = new Date(Date.now() + memoryItem.interval * 24 * 60 * 60 * 1000);
-      
-      profile.memoryItems.set(item.id, memoryItem);
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
     }
   }
 }
 
+function createDialogueProvider() {
+  if (process.env.DIALOGUE_PROVIDER === 'openai') {
+    return new OpenAICompatibleProvider({
+      baseUrl: process.env.LLM_BASE_URL || 'http://localhost:8000/v1',
+      model: process.env.LLM_MODEL || 'local-model',
+      apiKey: process.env.LLM_API_KEY || null
+    });
+  }
+  return new LocalTemplateProvider();
+}
+
 // ===================================================================
-// 6. CROSS-PLATFORM API SERVER
+// 2.2 GRAMMAR RULE ENGINE
 // ===================================================================
 
-class LanguageLearningServer {
-  constructor() {
-    this.app = express();
-    this.server = null;
-    this.wsServer = null;
-    
-    // Initialize core systems
-    this.languageDB = new LanguageDatabase();
-    this.aiEngine = new AIConversationEngine(this.languageDB);
-    this.speechProcessor = new SpeechProcessingSystem();
-    this.translator = new TranslationEngine(this.languageDB);
-    this.progressTracker = new ProgressTrackingSystem();
-    
-    this.setupMiddleware();
-    this.setupRoutes();
-    this.setupWebSocket();
-  }
+// Rule types a pack may declare:
+//   pattern     - regex match; the chosen group is replaced through `map`
+//   agreement   - determiner/adjective must match the noun's gender and number
+//   government  - a preposition (governor) requires the next noun in given cases
+const GRAMMAR_RULE_TYPES = ['pattern', 'agreement', 'government'];
 
-  setupMiddleware() {
-    this.app.use(cors());
-    this.app.use(express.json({ limit: '50mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-    
-    // File upload handling for audio
-    const upload = multer({
-      storage: multer.memoryStorage(),
-      limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
-    });
-    this.app.use('/upload', upload.single('audio'));
+// Agreement features are gender + number codes, in determiner set order
+const AGREEMENT_FEATURES = ['ms', 'fs', 'mp', 'fp'];
+const FEATURE_NAMES = { m: 'masculine', f: 'feminine', s: 'singular', p: 'plural' };
+
+// `\b` in JavaScript only understands ASCII letters; rule authors write \b and get this
+const UNICODE_WORD_BOUNDARY = '(?:(?<=\\p{L})(?!\\p{L})|(?<!\\p{L})(?=\\p{L}))';
+
+class GrammarRuleEngine {
+  constructor(rulesDir) {
+    this.rulesDir = rulesDir;
+    this.rulePacks = new Map();
+    this.loadErrors = [];
   }
 
-  setupRoutes() {
-    // ===== LANGUAGE ROUTES =====
-    this.app.get('/api/languages', (req, res) => {
-      const { category, search } = req.query;
-      const languages = category 
-        ? this.languageDB.searchLanguages('', category)
-        : search 
-        ? this.languageDB.searchLanguages(search)
-        : Array.from(this.languageDB.languages.entries());
-      
-      res.json({ languages });
-    });
+  async initialize() {
+    const rulePacks = new Map();
+    const errors = [];
 
-    this.app.get('/api/languages/:code', (req, res) => {
-      const language = this.languageDB.getLanguage(req.params.code);
-      if (!language) {
-        return res.status(404).json({ error: 'Language not found' });
-      }
-      res.json({ language });
-    });
+    let files = [];
+    try {
+      files = (await fs.readdir(this.rulesDir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      errors.push({ pack: this.rulesDir, errors: [`Cannot read grammar rules directory: ${error.message}`] });
+    }
 
-    // ===== CONVERSATION ROUTES =====
-    this.app.post('/api/conversation', async (req, res) => {
+    for (const file of files) {
       try {
-        const { userId, message, context } = req.body;
-        const response = await this.aiEngine.generateResponse(userId, message, context);
-        res.json(response);
+        const pack = JSON.parse(await fs.readFile(path.join(this.rulesDir, file), 'utf8'));
+        const { compiled, errors: packErrors } = this.compilePack(pack);
+        if (packErrors.length > 0) {
+          errors.push({ pack: file, errors: packErrors });
+        }
+        rulePacks.set(pack.language, compiled);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        errors.push({ pack: file, errors: [error.message] });
       }
-    });
+    }
 
-    // ===== SPEECH PROCESSING ROUTES =====
-    this.app.post('/api/speech/analyze', async (req, res) => {
-      try {
-        const { audioBuffer, languageCode, userId } = req.body;
-        const analysis = await this.speechProcessor.processSpeechInput(
-          audioBuffer, languageCode, userId
-        );
-        res.json(analysis);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    });
+    this.rulePacks = rulePacks;
+    this.loadErrors = errors;
+    for (const { pack, errors: packErrors } of errors) {
+      console.warn(`Grammar rule pack ${pack}: ${packErrors.join('; ')}`);
+    }
+    return { loaded: rulePacks.size, errors };
+  }
 
-    this.app.post('/api/speech/synthesize', async (req, res) => {
-      try {
-        const { text, languageCode, voiceProfile, userId } = req.body;
-        const audioResponse = await this.speechProcessor.generateSpeech(
-          text, languageCode, voiceProfile, userId
-        );
-        res.json(audioResponse);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    });
+  getRules(languageCode) {
+    return this.rulePacks.get(languageCode) || null;
+  }
 
-    // ===== TRANSLATION ROUTES =====
-    this.app.post('/api/translate', async (req, res) => {
-      try {
-        const { text, fromLang, toLang, context } = req.body;
-        const translation = await this.translator.translateText(
-          text, fromLang, toLang, context
-        );
-        res.json(translation);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    });
+  // Invalid rules are reported and skipped; the rest of the pack still loads
+  compilePack(pack) {
+    if (!pack.language || !Array.isArray(pack.rules)) {
+      throw new Error('Rule pack needs a language and a rules array');
+    }
 
-    // ===== PROGRESS TRACKING ROUTES =====
-    this.app.post('/api/progress/:userId', async (req, res) => {
-      try {
-        const progress = await this.progressTracker.updateUserProgress(
-          req.params.userId, req.body
-        );
-        res.json(progress);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
+    const errors = [];
+    const rules = [];
+    const seen = new Set();
+    for (const rule of pack.rules) {
+      if (!rule.id || seen.has(rule.id)) {
+        errors.push(`Rule ${rule.id || '(missing id)'} needs a unique id`);
+        continue;
       }
-    });
-
-    this.app.get('/api/progress/:userId', (req, res) => {
-      const profile = this.progressTracker.userProfiles.get(req.params.userId);
-      if (!profile) {
-        return res.status(404).json({ error: 'User profile not found' });
+      seen.add(rule.id);
+      if (!GRAMMAR_RULE_TYPES.includes(rule.type)) {
+        errors.push(`Rule ${rule.id} has unknown type ${rule.type}`);
+        continue;
       }
-      res.json(profile);
-    });
-  }
 
-  setupWebSocket() {
-    this.wsServer = new WebSocket.Server({ port: 8080 });
-    
-    this.wsServer.on('connection', (ws, req) => {
-      console.log('New WebSocket connection established');
-      
-      ws.on('message', async (data) => {
+      if (rule.type === 'pattern') {
         try {
-          const message = JSON.parse(data);
-          
-          switch (message.type) {
-            case 'real_time_speech':
-              const speechResult = await this.speechProcessor.processSpeechInput(
-                message.audioBuffer, message.languageCode, message.userId
-              );
-              ws.send(JSON.stringify({
-                type: 'speech_analysis',
-                data: speechResult
-              }));
-              break;
-              
-            case 'real_time_translation':
-              const translation = await this.translator.translateText(
-                message.text, message.fromLang, message.toLang, message.context
-              );
-              ws.send(JSON.stringify({
-                type: 'translation_result',
-                data: translation
-              }));
-              break;
-              
-            case 'conversation_turn':
-              const response = await this.aiEngine.generateResponse(
-                message.userId, message.input, message.context
-              );
-              ws.send(JSON.stringify({
-                type: 'ai_response',
-                data: response
-              }));
-              break;
-          }
+          const source = rule.pattern.replace(/\\b/g, UNICODE_WORD_BOUNDARY);
+          // checkPattern needs g (matchAll) and d (spans), and \p{L} needs u,
+          // whatever flags the pack asks for
+          const flags = new Set(`${rule.flags || 'i'}gud`);
+          rules.push({ ...rule, regex: new RegExp(source, Array.from(flags).join('')) });
         } catch (error) {
-          ws.send(JSON.stringify({
-            type: 'error',
-            data: { message: error.message }
-          }));
+          errors.push(`Rule ${rule.id} has an invalid pattern: ${error.message}`);
         }
-      });
-      
-      ws.on('close', () => {
-        console.log('WebSocket connection closed');
-      });
-    });
-  }
+      } else {
+        const problem = grammarRuleProblem(rule);
+        if (problem) {
+          errors.push(`Rule ${rule.id} ${problem}`);
+          continue;
+        }
+        rules.push(rule.type === 'government'
+          ? { ...rule, governors: new Map(Object.entries(rule.governors)) }
+          : rule);
+      }
+    }
 
-  start(port = 3001) {
-    this.server = this.app.listen(port, () => {
-      console.log(`🌍 Universal Language Learning Platform Backend running on port ${port}`);
-      console.log(`📊 Language Database: ${this.languageDB.languages.size} languages loaded`);
-      console.log(`🤖 AI Conversation Engine: Ready`);
-      console.log(`🎤 Speech Processing System: Active`);
-      console.log(`🔄 Real-time Translation: Online`);
-      console.log(`📈 Progress Tracking: Initialized`);
-      console.log(`🔌 WebSocket Server: Listening on port 8080`);
-    });
+    return {
+      compiled: {
+        language: pack.language,
+        version: pack.version,
+        rules,
+        lexicon: buildGrammarLexicon(pack.lexicon || {})
+      },
+      errors
+    };
   }
 
-  stop() {
-    if (this.server) {
-      this.server.close();
-    }
-    if (this.wsServer) {
-      this.wsServer.close();
+  check(text, rulePack) {
+    const tokens = Array.from(text.matchAll(/\p{L}+/gu), match => ({
+      text: match[0],
+      lower: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+
+    const errors = [];
+    for (const rule of rulePack.rules) {
+      switch (rule.type) {
+        case 'pattern':
+          errors.push(...this.checkPattern(text, rule));
+          break;
+        case 'agreement':
+          errors.push(...this.checkAgreement(tokens, rule, rulePack.lexicon));
+          break;
+        case 'government':
+          errors.push(...this.checkGovernment(tokens, rule, rulePack.lexicon));
+          break;
+      }
     }
+
+    return errors.sort((a, b) => a.span.start - b.span.start);
   }
-}
 
-// ===================================================================
-// 7. EXTERNAL API INTEGRATION LAYER
-// ===================================================================
+  checkPattern(text, rule) {
+    const errors = [];
+    const group = rule.group || 0;
 
-class ExternalAPIIntegrations {
-  constructor() {
-    this.apiKeys = {
-      googleCloud: process.env.GOOGLE_CLOUD_API_KEY,
-      azureCognitive: process.env.AZURE_COGNITIVE_KEY,
-      awsTranscribe: process.env.AWS_TRANSCRIBE_KEY,
-      elevenLabs: process.env.ELEVEN_LABS_KEY
-    };
-  }
+    for (const match of text.matchAll(rule.regex)) {
+      const [start, end] = match.indices[group];
+      const original = match[group];
+      const key = original.toLowerCase();
+      const replacement = rule.map
+        ? (Object.prototype.hasOwnProperty.call(rule.map, key) ? rule.map[key] : null)
+        : rule.replacement;
+      if (!replacement) continue;
 
-  // Speech-to-Text Integration
-  async speechToText(audioBuffer, languageCode) {
-    // Multiple provider fallback system
-    const providers = ['google', 'azure', 'aws'];
-    
-    for (const provider of providers) {
-      try {
-        switch (provider) {
-          case 'google':
-            return await this.googleSpeechToText(audioBuffer, languageCode);
-          case 'azure':
-            return await this.azureSpeechToText(audioBuffer, languageCode);
-          case 'aws':
-            return await this.awsSpeechToText(audioBuffer, languageCode);
-        }
-      } catch (error) {
-        console.warn(`${provider} STT failed, trying next provider:`, error.message);
-      }
+      errors.push(grammarError(rule, start, end, original, matchCase(original, replacement),
+        fillTemplate(rule.explanation, Object.fromEntries(match.map((value, index) => [index, value])))));
     }
-    
-    throw new Error('All speech-to-text providers failed');
+
+    return errors;
   }
 
-  // Text-to-Speech Integration
-  async textToSpeech(text, languageCode, voiceProfile) {
-    // High-quality voice synthesis
-    const voiceProviders = {
-      'premium': this.elevenLabsTTS,
-      'standard': this.googleTTS,
-      'fallback': this.azureTTS
-    };
-    
-    const provider = voiceProviders[voiceProfile.quality] || voiceProviders.standard;
-    return await provider.call(this, text, languageCode, voiceProfile);
+  checkAgreement(tokens, rule, lexicon) {
+    const errors = [];
+    const offset = rule.position === 'before' ? -1 : 1;
+    const forms = rule.dependent === 'determiner' ? lexicon.determiners : lexicon.adjectives;
+
+    tokens.forEach((token, index) => {
+      const noun = lexicon.nouns.get(token.lower);
+      const neighbour = tokens[index + offset];
+      if (!noun || !neighbour) return;
+
+      const dependent = forms.get(neighbour.lower);
+      if (!dependent || dependent.features === noun.features) return;
+
+      const suggestion = matchCase(neighbour.text, dependent.inflect(noun.features));
+      errors.push(grammarError(rule, neighbour.start, neighbour.end, neighbour.text, suggestion,
+        fillTemplate(rule.explanation, {
+          dependent: neighbour.text,
+          noun: token.text,
+          features: describeFeatures(noun.features),
+          suggestion
+        })));
+    });
+
+    return errors;
   }
 
-  // Translation API Integration
-  async translateWithMultipleProviders(text, fromLang, toLang) {
-    // Ensemble translation for maximum accuracy
-    const translations = await Promise.allSettled([
-      this.googleTranslate(text, fromLang, toLang),
-      this.deepLTranslate(text, fromLang, toLang),
-      this.azureTranslate(text, fromLang, toLang)
-    ]);
+  checkGovernment(tokens, rule, lexicon) {
+    const errors = [];
+
+    tokens.forEach((token, index) => {
+      const cases = rule.governors.get(token.lower);
+      const next = tokens[index + 1];
+      if (!cases || !next) return;
+
+      // Ambiguous forms (Roma = nominative or ablative) pass if any reading fits
+      const readings = lexicon.caseForms.get(next.lower);
+      if (!readings || readings.some(reading => cases.includes(reading.case))) return;
+
+      const { noun, number } = readings[0];
+      const suggestion = noun.forms[number][cases[0]];
+      if (!suggestion) return;
+
+      errors.push(grammarError(rule, next.start, next.end, next.text, suggestion,
+        fillTemplate(rule.explanation, {
+          governor: token.text,
+          cases: cases.join(' or '),
+          word: next.text,
+          found: [...new Set(readings.map(reading => reading.case))].join(' or '),
+          suggestion
+        })));
+    });
+
+    return errors;
+  }
+}
+
+// What is wrong with an agreement or government rule's fields, or null
+function grammarRuleProblem(rule) {
+  if (rule.type === 'agreement') {
+    if (!['determiner', 'adjective'].includes(rule.dependent)) {
+      return 'needs dependent "determiner" or "adjective"';
+    }
+    if (!['before', 'after'].includes(rule.position)) {
+      return 'needs position "before" or "after"';
+    }
+  }
+  if (rule.type === 'government') {
+    const { governors } = rule;
+    if (!governors || typeof governors !== 'object' || Array.isArray(governors)) {
+      return 'needs a governors object mapping words to cases';
+    }
+    for (const [governor, cases] of Object.entries(governors)) {
+      if (!Array.isArray(cases) || cases.length === 0 || cases.some(value => typeof value !== 'string')) {
+        return `needs a non-empty list of cases for governor ${governor}`;
+      }
+    }
+  }
+  return null;
+}
+
+// Expands the compact lexicon in a rule pack into lookup tables by surface form
+function buildGrammarLexicon(lexicon) {
+  const nouns = new Map();
+  for (const [noun, gender] of Object.entries(lexicon.nouns && !Array.isArray(lexicon.nouns) ? lexicon.nouns : {})) {
+    nouns.set(noun, { lemma: noun, features: `${gender}s` });
+    nouns.set(pluralizeSpanish(noun), { lemma: noun, features: `${gender}p` });
+  }
+
+  const determiners = new Map();
+  for (const set of lexicon.determinerSets || []) {
+    set.forEach((form, index) => {
+      determiners.set(form, { features: AGREEMENT_FEATURES[index], inflect: features => set[AGREEMENT_FEATURES.indexOf(features)] });
+    });
+  }
+
+  // Regular -o adjectives: bonito, bonita, bonitos, bonitas
+  const adjectives = new Map();
+  for (const lemma of lexicon.adjectives || []) {
+    if (!lemma.endsWith('o')) continue;
+    const stem = lemma.slice(0, -1);
+    const endings = { ms: 'o', fs: 'a', mp: 'os', fp: 'as' };
+    for (const [features, ending] of Object.entries(endings)) {
+      adjectives.set(stem + ending, { features, inflect: target => stem + endings[target] });
+    }
+  }
+
+  // Declined nouns: every surface form maps to its possible case/number readings
+  const caseForms = new Map();
+  for (const entry of Array.isArray(lexicon.nouns) ? lexicon.nouns : []) {
+    const paradigm = lexicon.paradigms[entry.paradigm];
+    const noun = { stem: entry.stem, forms: { singular: {}, plural: {} } };
+
+    for (const number of ['singular', 'plural']) {
+      for (const [grammaticalCase, ending] of Object.entries(paradigm[number])) {
+        noun.forms[number][grammaticalCase] = entry.stem + ending;
+      }
+    }
+    if (entry.nominative) noun.forms.singular.nominative = entry.nominative;
+
+    for (const number of ['singular', 'plural']) {
+      for (const [grammaticalCase, form] of Object.entries(noun.forms[number])) {
+        const key = form.toLowerCase();
+        if (!caseForms.has(key)) caseForms.set(key, []);
+        caseForms.get(key).push({ noun, number, case: grammaticalCase });
+      }
+    }
+  }
+
+  return { nouns, determiners, adjectives, caseForms };
+}
+
+function pluralizeSpanish(noun) {
+  if (noun.endsWith('ión')) return noun.slice(0, -3) + 'iones';
+  if (noun.endsWith('z')) return noun.slice(0, -1) + 'ces';
+  if (/[aeiouáéó]$/.test(noun)) return noun + 's';
+  return noun + 'es';
+}
+
+function describeFeatures(features) {
+  return `${FEATURE_NAMES[features[0]]} ${FEATURE_NAMES[features[1]]}`;
+}
+
+function grammarError(rule, start, end, text, suggestion, explanation) {
+  return {
+    type: 'grammar',
+    ruleId: rule.id,
+    category: rule.category,
+    span: { start, end },
+    text,
+    suggestion,
+    explanation
+  };
+}
+
+// Keep sentence-initial capitals when swapping a word
+function matchCase(original, replacement) {
+  return original[0] === original[0].toUpperCase() && original[0] !== original[0].toLowerCase()
+    ? replacement[0].toUpperCase() + replacement.slice(1)
+    : replacement;
+}
+
+function fillTemplate(template, values) {
+  return (template || '').replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+}
+
+// ===================================================================
+// 3. REAL-TIME SPEECH PROCESSING SYSTEM
+// ===================================================================
+
+// Phoneme alignment grows with the square of the expected text, so it is
+// capped at what one recording can reasonably hold
+const MAX_EXPECTED_TEXT_LENGTH = 2000;
+
+function checkExpectedText(expectedText) {
+  if (expectedText === undefined || expectedText === null || expectedText === '') return;
+  if (typeof expectedText !== 'string') {
+    throw httpError(400, 'expectedText must be a string');
+  }
+  if (expectedText.length > MAX_EXPECTED_TEXT_LENGTH) {
+    throw httpError(413, `expectedText can be at most ${MAX_EXPECTED_TEXT_LENGTH} characters`);
+  }
+}
+
+class SpeechProcessingSystem {
+  constructor({
+    languageDB = null,
+    integrations = new ExternalAPIIntegrations({ languageDB }),
+    audioStore = new AudioAssetStore(),
+    voiceRegistry = new AdvancedVoiceSynthesis()
+  } = {}) {
+    this.languageDB = languageDB;
+    this.integrations = integrations;
+    this.audioStore = audioStore;
+    this.voiceRegistry = voiceRegistry;
+    this.audioIngestor = new AudioIngestor();
+    this.graphemeToPhoneme = new GraphemeToPhoneme(languageDB);
+    this.activeConnections = new Map();
+    this.speechAnalysisQueue = [];
+  }
+
+  // Transcription goes through the provider registry, falling back to the local stub
+  async speechToText(audioBuffer, languageCode, options = {}) {
+    return this.integrations.speechToText(audioBuffer, languageCode, options);
+  }
+
+  // Real-time speech analysis. `options.expectedText` is what the learner was
+  // asked to say; `options.audio` is the ingested recording when there is one,
+  // and `options.reference` an ingested recording of a model speaker.
+  async processSpeechInput(audioBuffer, languageCode, userId, options = {}) {
+    checkExpectedText(options.expectedText);
+    try {
+      const audio = options.audio || await this.decodeForAnalysis(audioBuffer);
+
+      // Step 1: Speech-to-Text (requires external API)
+      const recognitionOptions = {
+        expectedText: options.expectedText,
+        sampleRate: audio ? audio.sampleRate : undefined
+      };
+      const transcription = await this.speechToText(audioBuffer, languageCode, recognitionOptions);
+      
+      // Step 2: Pronunciation Analysis
+      const pronunciationAnalysis = await this.analyzePronunciation(
+        audioBuffer, 
+        transcription, 
+        languageCode,
+        { ...recognitionOptions, audio, reference: options.reference }
+      );
+      
+      // Step 3: Real-time feedback generation
+      const feedback = this.generateRealTimeFeedback(pronunciationAnalysis);
+      
+      return {
+        transcription,
+        pronunciationScore: pronunciationAnalysis.overallScore,
+        pronunciationAvailable: pronunciationAnalysis.available,
+        phoneticBreakdown: pronunciationAnalysis.phonemes,
+        prosody: pronunciationAnalysis.prosody,
+        fluency: pronunciationAnalysis.fluency,
+        suggestions: feedback.suggestions,
+        corrections: feedback.corrections
+      };
+      
+    } catch (error) {
+      console.error('Speech processing error:', error);
+      throw error;
+    }
+  }
+
+  // Pronunciation analysis: the phonemes the learner should have said (from
+  // expectedText, or the transcript when there's none) aligned against the
+  // phonemes the recogniser heard
+  async analyzePronunciation(audioBuffer, transcription, languageCode, options = {}) {
+    const language = this.languageDB.getLanguage(languageCode || '');
+    if (!language) {
+      throw httpError(400, `Unknown language: ${languageCode}`);
+    }
+    const expectedPhonemes = this.getExpectedPhonemes(options.expectedText || transcription.text, languageCode);
+    const actualPhonemes = await this.extractPhonemes(audioBuffer, languageCode, {
+      expectedText: options.expectedText,
+      sampleRate: options.sampleRate,
+      transcription
+    });
+    const alignment = actualPhonemes ? this.comparePhonemes(expectedPhonemes, actualPhonemes, languageCode) : [];
     
+    return {
+      overallScore: actualPhonemes ? this.calculatePronunciationScore(alignment, expectedPhonemes) : null,
+      available: Boolean(actualPhonemes),
+      phonemes: alignment,
+      tips: pronunciationTips(alignment, this.graphemeToPhoneme.getRules(languageCode)),
+      prosody: this.analyzeProsody(options.audio, language, options),
+      fluency: this.calculateFluencyMetrics(options.audio, transcription, options)
+    };
+  }
+
+  // Rolling feedback while a stream is still open. Only the part already
+  // spoken is scored, so words the learner hasn't reached yet aren't missing.
+  // Streams pass the frames of the whole utterance for fluency and, once it
+  // is long, only its last few seconds as `audio`; the words before that
+  // window aren't missing either.
+  async analyzePartialSpeech(audio, languageCode, { expectedText = '', frames = speechFrames(audio), midUtterance = false } = {}) {
+    const transcription = await this.speechToText(audio.pcm, languageCode, {
+      expectedText,
+      sampleRate: audio.sampleRate,
+      partial: true
+    });
+    const expectedPhonemes = this.getExpectedPhonemes(expectedText || transcription.text, languageCode);
+    const actualPhonemes = await this.extractPhonemes(audio.pcm, languageCode, {
+      expectedText,
+      sampleRate: audio.sampleRate,
+      transcription
+    });
+    const alignment = actualPhonemes ? this.comparePhonemes(expectedPhonemes, actualPhonemes, languageCode) : [];
+    let spokenStart = 0;
+    let spokenEnd = alignment.length;
+    while (spokenEnd > 0 && alignment[spokenEnd - 1].verdict === 'deletion') spokenEnd -= 1;
+    while (midUtterance && spokenStart < spokenEnd && alignment[spokenStart].verdict === 'deletion') spokenStart += 1;
+    const spoken = alignment.slice(spokenStart, spokenEnd);
+
+    const fluency = measureFluency(frames, transcription);
+    return {
+      transcript: transcription.text,
+      pronunciationScore: actualPhonemes
+        ? scorePronunciation(spoken, spoken.filter(entry => entry.expected !== null).length)
+        : null,
+      tips: pronunciationTips(spoken, this.graphemeToPhoneme.getRules(languageCode)),
+      fluency: {
+        speechRate: fluency.speechRate,
+        articulationRate: fluency.articulationRate,
+        pauses: fluency.pauses.count,
+        longPauses: fluency.pauses.distribution.long,
+        filledPauses: fluency.filledPauses.count
+      }
+    };
+  }
+
+  // JSON and WebSocket clients send WAV bytes, usually base64 encoded. Audio
+  // that doesn't decode is still transcribed; it just gets no prosody or
+  // fluency measurements.
+  async decodeForAnalysis(audioBuffer) {
+    const bytes = Buffer.isBuffer(audioBuffer)
+      ? audioBuffer
+      : (typeof audioBuffer === 'string' ? Buffer.from(audioBuffer, 'base64') : null);
+    if (!bytes || !isWavBuffer(bytes)) return null;
+    try {
+      return await this.audioIngestor.ingest(bytes, 'audio/wav');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Pitch contour and range, tone checks for tone and pitch-accent languages,
+  // and a comparison with the reference recording when there is one
+  analyzeProsody(audio, language, { expectedText = '', reference = null } = {}) {
+    if (!audio) return null;
+
+    const frames = speechFrames(audio);
+    const pitch = summarisePitch(frames);
+    const rules = language.prosody || {};
+    const prosody = { system: rules.system || 'stress', pitch, feedback: [] };
+
+    if (prosody.system === 'stress' && pitch.voicedMs >= 1000 && pitch.rangeSemitones !== null && pitch.rangeSemitones < 3) {
+      prosody.feedback.push(`Your intonation was quite flat (a range of ${pitch.rangeSemitones} semitones). Let your voice rise and fall with the phrase.`);
+    }
+
+    let heardTones = null;
+    if (prosody.system !== 'stress') {
+      heardTones = syllableTones(frames, findSyllableNuclei(frames));
+      const expected = expectedTones(expectedText, rules);
+      prosody.tones = { heard: heardTones, expected, accuracy: null, mismatches: [] };
+      if (expected.length > 1) {
+        // Heard tones are relative to the learner's own mean pitch, which says
+        // nothing about whether a syllable was meant to be high, so the steps
+        // between syllables are compared instead of the tones themselves
+        const units = expectedToneSteps(expected);
+        const alignment = alignPhonemes(units, heardToneSteps(heardTones), TONE_STEP_ALIGNMENT_RULES);
+        prosody.tones.accuracy = scorePronunciation(alignment, units.length);
+        prosody.tones.mismatches = alignment.filter(entry => entry.verdict !== 'correct');
+        if (prosody.tones.accuracy < 80) {
+          prosody.feedback.push(rules.toneTip || 'Some syllables didn\'t carry the tone their spelling marks. Keep high-tone syllables clearly above the low ones around them.');
+        }
+      }
+    }
+
+    if (reference) {
+      const referenceFrames = speechFrames(reference);
+      const referencePitch = summarisePitch(referenceFrames);
+      const distance = contourDistance(normalisedContour(frames), normalisedContour(referenceFrames));
+      const comparison = {
+        contourDistanceSemitones: roundMeasure(distance),
+        similarity: distance === null
+          ? null
+          : Math.round(100 * Math.max(0, 1 - distance / PROSODY_SETTINGS.maxContourDistanceSemitones)),
+        rangeRatio: referencePitch.rangeSemitones ? roundMeasure(pitch.rangeSemitones / referencePitch.rangeSemitones, 2) : null,
+        finalDirection: { learner: pitch.finalDirection, reference: referencePitch.finalDirection }
+      };
+
+      // Where spelling doesn't mark tone (Japanese pitch accent), the
+      // reference speaker's syllable pitches are the target
+      if (heardTones) {
+        const referenceTones = syllableTones(referenceFrames, findSyllableNuclei(referenceFrames));
+        const units = referenceTones.map(syllable => ({ phoneme: syllable.tone, grapheme: null, word: null, accept: [] }));
+        comparison.toneAgreement = scorePronunciation(
+          alignPhonemes(units, heardTones.map(syllable => syllable.tone), TONE_ALIGNMENT_RULES),
+          units.length
+        );
+        if (comparison.toneAgreement !== null && comparison.toneAgreement < 70) {
+          prosody.feedback.push('Your high and low syllables didn\'t match the reference speaker\'s. Listen again and copy which syllables go up and which go down.');
+        }
+      }
+
+      if (comparison.similarity !== null && comparison.similarity < 60) {
+        prosody.feedback.push('Your melody differs from the reference recording. Listen again and copy where the voice rises and falls.');
+      }
+      if (comparison.rangeRatio !== null && comparison.rangeRatio < 0.6) {
+        prosody.feedback.push('Your pitch moved much less than the reference speaker\'s. Exaggerate the rises and falls a little.');
+      }
+      if (pitch.finalDirection && referencePitch.finalDirection && pitch.finalDirection !== referencePitch.finalDirection) {
+        prosody.feedback.push(`The reference recording ends with ${referencePitch.finalDirection} pitch, but yours ends ${pitch.finalDirection}. Copy the ending; it can turn a statement into a question.`);
+      }
+      prosody.comparison = comparison;
+    }
+
+    return prosody;
+  }
+
+  // Speech rate, articulation rate, pauses and filled pauses
+  calculateFluencyMetrics(audio, transcription, { reference = null } = {}) {
+    if (!audio) return null;
+
+    const metrics = measureFluency(speechFrames(audio), transcription);
+    if (metrics.pauses.distribution.long > 0) {
+      const count = metrics.pauses.distribution.long;
+      metrics.feedback.push(`${count} ${count === 1 ? 'pause' : 'pauses'} lasted over a second. Try saying each phrase in one breath and pausing only between phrases.`);
+    }
+    if (metrics.filledPauses.count > 0) {
+      const count = metrics.filledPauses.count;
+      metrics.feedback.push(`You filled ${count} ${count === 1 ? 'pause' : 'pauses'} with a held sound like "uh" or "eh". A short silent pause sounds more natural.`);
+    }
+
+    if (reference) {
+      const target = measureFluency(speechFrames(reference), null);
+      const ratio = (a, b) => (a && b ? roundMeasure(a / b, 2) : null);
+      metrics.comparison = {
+        speechRateRatio: ratio(metrics.speechRate, target.speechRate),
+        articulationRateRatio: ratio(metrics.articulationRate, target.articulationRate),
+        durationRatio: ratio(metrics.durationMs, target.durationMs),
+        extraPauses: metrics.pauses.count - target.pauses.count,
+        reference: { speechRate: target.speechRate, articulationRate: target.articulationRate, pauses: target.pauses.count }
+      };
+
+      const pace = metrics.comparison.articulationRateRatio;
+      if (pace !== null && pace < 0.7) {
+        metrics.feedback.push(`You spoke at about ${Math.round(pace * 100)}% of the reference speaker's pace. Speed up once the sounds feel comfortable.`);
+      } else if (pace !== null && pace > 1.3) {
+        metrics.feedback.push('You spoke faster than the reference speaker. Slowing down a little will make each sound clearer.');
+      }
+      if (metrics.comparison.extraPauses >= 2) {
+        metrics.feedback.push(`You paused ${metrics.comparison.extraPauses} more times than the reference speaker. Try to link the words within each phrase.`);
+      }
+    }
+
+    return metrics;
+  }
+
+  getExpectedPhonemes(text, languageCode) {
+    return this.graphemeToPhoneme.convert(text, languageCode);
+  }
+
+  // Recognisers may return bare phoneme strings or { phoneme, start, end }.
+  // Resolves with null when nothing actually listened to the audio: the local
+  // recogniser reads phonemes off the transcript, and the local speech-to-text
+  // stand-in just echoes expectedText, so together they would score
+  // expectedText against itself.
+  async extractPhonemes(audioBuffer, languageCode, { transcription, ...options } = {}) {
+    const { phonemes = [], provider } = await this.integrations.recognizePhonemes(audioBuffer, languageCode, {
+      ...options,
+      transcription: transcription.text
+    });
+    if (provider === 'local' && transcription.provider === 'local') return null;
+    return phonemes.map(entry => (typeof entry === 'string' ? entry : entry.phoneme)).filter(Boolean);
+  }
+
+  comparePhonemes(expectedPhonemes, actualPhonemes, languageCode) {
+    return alignPhonemes(expectedPhonemes, actualPhonemes, this.graphemeToPhoneme.getRules(languageCode));
+  }
+
+  calculatePronunciationScore(alignment, expectedPhonemes) {
+    return scorePronunciation(alignment, expectedPhonemes.length);
+  }
+
+  // Tips for the most frequent mistakes plus prosody and fluency advice, and
+  // one correction per word
+  generateRealTimeFeedback(analysis) {
+    const byWord = new Map();
+    for (const entry of analysis.phonemes) {
+      if (entry.verdict === 'correct' || !entry.word) continue;
+      if (!byWord.has(entry.word)) byWord.set(entry.word, []);
+      byWord.get(entry.word).push(describePhonemeError(entry));
+    }
+
+    return {
+      suggestions: [
+        ...analysis.tips.slice(0, 3).map(tip => tip.tip),
+        ...(analysis.prosody ? analysis.prosody.feedback : []),
+        ...(analysis.fluency ? analysis.fluency.feedback : [])
+      ],
+      corrections: [...byWord].map(([word, problems]) => `Pronunciation: "${word}" - ${problems.join('; ')}`)
+    };
+  }
+
+  // Text-to-Speech with multiple voices. Audio is stored once per phrase and
+  // voice and served from /api/audio/:id.
+  async generateSpeech(text, languageCode, voiceProfile, userId) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw httpError(400, 'text is required');
+    }
+    if (text.length > MAX_SYNTHESIS_TEXT_LENGTH) {
+      throw httpError(413, `text can be at most ${MAX_SYNTHESIS_TEXT_LENGTH} characters`);
+    }
+    if (!this.languageDB.getLanguage(languageCode || '')) {
+      throw httpError(400, `Unknown language: ${languageCode}`);
+    }
+
+    const voiceSettings = this.getVoiceSettings(voiceProfile, languageCode);
+    const asset = await this.synthesizeSpeech(text, languageCode, voiceSettings);
+    return {
+      audioId: asset.id,
+      audioUrl: `/api/audio/${asset.id}`,
+      contentType: asset.contentType,
+      duration: asset.durationMs ?? this.estimateDuration(text, voiceSettings),
+      cached: asset.cached,
+      provider: asset.provider,
+      fallback: Boolean(asset.fallback),
+      ssml: asset.ssml,
+      voiceCharacteristics: voiceSettings
+    };
+  }
+
+  // A voice id from /api/languages/:code/voices, or { voice, emotion, mode,
+  // emphasis } where `emphasis` lists words to stress. Without a voice the
+  // language's first one is used.
+  getVoiceSettings(voiceProfile = {}, languageCode) {
+    const profile = typeof voiceProfile === 'string' ? { voice: voiceProfile } : voiceProfile || {};
+    const code = languageCode.toLowerCase();
+    const voice = profile.voice
+      ? this.voiceRegistry.getVoice(code, profile.voice)
+      : this.voiceRegistry.getDefaultVoice(code);
+    if (!voice) {
+      throw httpError(400, `Unknown voice ${profile.voice} for ${languageCode}; see /api/languages/${code}/voices`);
+    }
+    const { emotion = 'neutral', mode = 'normal', emphasis = [] } = profile;
+    if (!this.voiceRegistry.listEmotions().includes(emotion)) {
+      throw httpError(400, `emotion must be one of ${this.voiceRegistry.listEmotions().join(', ')}`);
+    }
+    if (!this.voiceRegistry.listModes().includes(mode)) {
+      throw httpError(400, `mode must be one of ${this.voiceRegistry.listModes().join(', ')}`);
+    }
+    if (!Array.isArray(emphasis) || emphasis.some(word => typeof word !== 'string')) {
+      throw httpError(400, 'emphasis must be an array of words');
+    }
+    return this.voiceRegistry.resolveVoiceSettings(voice, { emotion, mode, emphasis });
+  }
+
+  // Providers that understand SSML get the voice's prosody, pauses and
+  // emphasis from it; the others use the plain settings
+  async synthesizeSpeech(text, languageCode, voiceSettings) {
+    const { emotion, ...voice } = voiceSettings;
+    const ssml = this.voiceRegistry.buildSSML(text, voiceSettings, {
+      lang: this.languageDB.getLanguage(languageCode).isoCode
+    });
+    return this.audioStore.getOrCreate({ text, languageCode, voice, emotion }, async () => {
+      const result = await this.integrations.textToSpeech(text, languageCode, { ...voiceSettings, ssml });
+      let durationMs = result.durationMs ?? null;
+      if (durationMs === null && isWavBuffer(result.audio)) {
+        try {
+          durationMs = wavDurationMs(result.audio);
+        } catch (error) {
+          // Left for estimateDuration
+        }
+      }
+      return { ...result, durationMs, ssml };
+    });
+  }
+
+  estimateDuration(text, voiceSettings = {}) {
+    return estimateSpeechDurationMs(text, voiceSettings.speed || 1);
+  }
+}
+
+// ===================================================================
+// 3.1 AUDIO INGESTION
+// ===================================================================
+
+// Every recording is normalised to this before analysis
+const SPEECH_SAMPLE_RATE = 16000;
+
+const AUDIO_INGEST_LIMITS = {
+  maxDurationMs: 60000,
+  minSpeechMs: 300,
+  // Share of samples at full scale before a recording counts as clipped
+  maxClippedRatio: 0.005,
+  // Speech quieter than this (RMS over voiced frames) is too faint to score
+  minSpeechDbfs: -42,
+  // Voice activity detection: frame size, margin over the noise floor, and
+  // padding kept around speech so word edges aren't cut
+  vadFrameMs: 30,
+  vadMarginDb: 10,
+  vadFloorDbfs: -55,
+  vadPaddingMs: 150
+};
+
+// Decoders turn an uploaded buffer into { sampleRate, channels: [Float32Array] }
+// with samples in -1..1. Register more (e.g. Opus/WebM) with registerDecoder.
+class AudioIngestor {
+  constructor(limits = AUDIO_INGEST_LIMITS) {
+    this.limits = limits;
+    this.decoders = new Map();
+    this.registerDecoder(['audio/wav', 'audio/wave', 'audio/x-wav', 'audio/vnd.wave'], { decode: decodeWav });
+    this.registerDecoder(['audio/pcm', 'audio/l16'], { decode: decodeRawPcm });
+    if (process.env.FFMPEG_PATH) {
+      this.registerDecoder(['audio/webm', 'audio/ogg', 'audio/opus', 'video/webm'], new FfmpegDecoder(process.env.FFMPEG_PATH));
+    }
+  }
+
+  registerDecoder(mimeTypes, decoder) {
+    for (const mimeType of mimeTypes) this.decoders.set(mimeType.toLowerCase(), decoder);
+  }
+
+  // Resolves with 16 kHz mono PCM trimmed to the spoken part, or rejects with
+  // a 4xx error whose `code` and message tell the learner what to fix
+  async ingest(buffer, mimeType, options = {}) {
+    const [baseType] = String(mimeType || '').toLowerCase().split(';');
+    // Browsers often label WAV uploads application/octet-stream
+    const decoder = this.decoders.get(baseType.trim()) ||
+      (isWavBuffer(buffer) ? this.decoders.get('audio/wav') : null);
+    if (!decoder) {
+      throw audioError(415, 'unsupported_audio_format',
+        `No decoder for ${baseType || 'this file type'}. Upload WAV or raw 16-bit PCM (audio/L16)`);
+    }
+
+    const decoded = await decoder.decode(buffer, { ...parseMimeParams(mimeType), ...options });
+    if (!decoded.channels.length || decoded.channels[0].length === 0) {
+      throw audioError(422, 'empty_audio', 'The recording is empty');
+    }
+
+    const durationMs = decoded.channels[0].length / decoded.sampleRate * 1000;
+    if (durationMs > this.limits.maxDurationMs) {
+      throw audioError(413, 'audio_too_long',
+        `Recordings can be at most ${this.limits.maxDurationMs / 1000} seconds; this one is ${Math.round(durationMs / 1000)}`);
+    }
+
+    const mono = downmix(decoded.channels);
+    const clippedRatio = mono.reduce((count, sample) => count + (Math.abs(sample) >= 0.999 ? 1 : 0), 0) / mono.length;
+    if (clippedRatio > this.limits.maxClippedRatio) {
+      throw audioError(422, 'audio_clipped',
+        `The recording is distorted (${(clippedRatio * 100).toFixed(1)}% of it is at maximum volume). Move a little further from the microphone or lower the input gain, then try again`);
+    }
+
+    const samples = resample(mono, decoded.sampleRate, SPEECH_SAMPLE_RATE);
+    const speech = detectVoiceActivity(samples, SPEECH_SAMPLE_RATE, this.limits);
+    if (speech.speechMs < this.limits.minSpeechMs) {
+      throw audioError(422, 'no_speech',
+        'We couldn\'t hear any speech. Check that the right microphone is selected and speak right after you start recording');
+    }
+    if (speech.speechDbfs < this.limits.minSpeechDbfs) {
+      throw audioError(422, 'audio_too_quiet',
+        `Your voice is too quiet to analyse (${speech.speechDbfs.toFixed(0)} dBFS). Move closer to the microphone or raise the input volume`);
+    }
+
+    const trimmed = samples.subarray(speech.start, speech.end);
+    const pcm16 = floatToPcm16(trimmed);
+    return {
+      // Float samples for local analysis; little-endian 16-bit bytes for providers
+      samples: trimmed,
+      pcm: Buffer.from(pcm16.buffer, pcm16.byteOffset, pcm16.byteLength),
+      sampleRate: SPEECH_SAMPLE_RATE,
+      durationMs: Math.round(trimmed.length / SPEECH_SAMPLE_RATE * 1000),
+      originalDurationMs: Math.round(durationMs),
+      trimmedMs: {
+        start: Math.round(speech.start / SPEECH_SAMPLE_RATE * 1000),
+        end: Math.round((samples.length - speech.end) / SPEECH_SAMPLE_RATE * 1000)
+      },
+      levels: {
+        speechDbfs: Number(speech.speechDbfs.toFixed(1)),
+        noiseFloorDbfs: Number(speech.noiseFloorDbfs.toFixed(1)),
+        clippedRatio: Number(clippedRatio.toFixed(5))
+      }
+    };
+  }
+}
+
+function audioError(status, code, message) {
+  const error = httpError(status, message);
+  error.code = code;
+  return error;
+}
+
+// "audio/L16; rate=44100; channels=2" -> { sampleRate: 44100, channelCount: 2 }
+function parseMimeParams(mimeType) {
+  const params = {};
+  for (const part of String(mimeType || '').split(';').slice(1)) {
+    const [key, value] = part.split('=').map(piece => piece.trim().toLowerCase());
+    if (key === 'rate') params.sampleRate = Number(value);
+    if (key === 'channels') params.channelCount = Number(value);
+  }
+  return params;
+}
+
+function isWavBuffer(buffer) {
+  return buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+// PCM (8/16/24/32-bit integer), 32/64-bit float and WAVE_FORMAT_EXTENSIBLE
+function decodeWav(buffer) {
+  if (!isWavBuffer(buffer)) {
+    throw audioError(422, 'invalid_audio', 'The file is not a valid WAV recording');
+  }
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      if (size < 16 || body + 16 > buffer.length) {
+        throw audioError(422, 'invalid_audio', 'The WAV format chunk is truncated');
+      }
+      let tag = buffer.readUInt16LE(body);
+      // Extensible headers keep the real format code in the sub-format GUID
+      if (tag === 0xfffe && size >= 26 && body + 26 <= buffer.length) tag = buffer.readUInt16LE(body + 24);
+      format = {
+        tag,
+        channelCount: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      // Streamed WAVs may leave the size at 0 or past the end
+      data = buffer.subarray(body, Math.min(buffer.length, size > 0 ? body + size : buffer.length));
+      break;
+    }
+    offset = body + size + (size % 2);
+  }
+
+  if (!format || !data) {
+    throw audioError(422, 'invalid_audio', 'The WAV file is missing its format or data chunk');
+  }
+  // A zero channel count or rate would leave nothing to divide by when decoding
+  if (format.channelCount === 0 || format.sampleRate === 0) {
+    throw audioError(422, 'invalid_audio', 'The WAV header has no channels or no sample rate');
+  }
+  if (format.channelCount > 8 || format.sampleRate < 8000 || format.sampleRate > 192000) {
+    throw audioError(415, 'unsupported_audio_format',
+      'WAV recordings need a sample rate between 8000 and 192000 Hz and 1-8 channels');
+  }
+  const readers = {
+    '1:8': (buf, at) => (buf.readUInt8(at) - 128) / 128,
+    '1:16': (buf, at) => buf.readInt16LE(at) / 32768,
+    '1:24': (buf, at) => buf.readIntLE(at, 3) / 8388608,
+    '1:32': (buf, at) => buf.readInt32LE(at) / 2147483648,
+    '3:32': (buf, at) => buf.readFloatLE(at),
+    '3:64': (buf, at) => buf.readDoubleLE(at)
+  };
+  const read = readers[`${format.tag}:${format.bitsPerSample}`];
+  if (!read) {
+    throw audioError(415, 'unsupported_audio_format',
+      `WAV encoding ${format.tag} at ${format.bitsPerSample} bits isn't supported; export as 16-bit PCM`);
+  }
+
+  return deinterleave(data, format.channelCount, format.bitsPerSample / 8, read, format.sampleRate);
+}
+
+// Headerless signed 16-bit little-endian; rate and channels come from the
+// MIME parameters or the upload's form fields
+function decodeRawPcm(buffer, { sampleRate = SPEECH_SAMPLE_RATE, channelCount = 1 } = {}) {
+  const rate = Number(sampleRate);
+  const channels = Number(channelCount);
+  if (!(rate >= 8000 && rate <= 192000) || !(channels >= 1 && channels <= 8)) {
+    throw audioError(422, 'invalid_audio', 'Raw PCM needs a sampleRate between 8000 and 192000 and 1-8 channels');
+  }
+  return deinterleave(buffer, channels, 2, (buf, at) => buf.readInt16LE(at) / 32768, rate);
+}
+
+function deinterleave(data, channelCount, bytesPerSample, read, sampleRate) {
+  const frameSize = channelCount * bytesPerSample;
+  if (!(frameSize > 0)) {
+    throw audioError(422, 'invalid_audio', 'Audio frames must hold at least one sample');
+  }
+  const frames = Math.floor(data.length / frameSize);
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(frames));
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      channels[channel][frame] = read(data, frame * frameSize + channel * bytesPerSample);
+    }
+  }
+  return { sampleRate, channels };
+}
+
+// Pipes the upload through ffmpeg, which emits 16 kHz mono s16le directly
+class FfmpegDecoder {
+  constructor(binary = 'ffmpeg') {
+    this.binary = binary;
+  }
+
+  decode(buffer) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binary, ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', '-f', 's16le', '-ac', '1', '-ar', String(SPEECH_SAMPLE_RATE), 'pipe:1']);
+      const output = [];
+      const errors = [];
+      child.stdout.on('data', chunk => output.push(chunk));
+      child.stderr.on('data', chunk => errors.push(chunk));
+      child.on('error', error => reject(audioError(500, 'decoder_unavailable', `Audio decoder failed to start: ${error.message}`)));
+      child.on('close', code => {
+        if (code !== 0) {
+          return reject(audioError(422, 'invalid_audio', `Couldn't decode the recording: ${Buffer.concat(errors).toString().trim() || `ffmpeg exited with ${code}`}`));
+        }
+        resolve(decodeRawPcm(Buffer.concat(output), { sampleRate: SPEECH_SAMPLE_RATE, channelCount: 1 }));
+      });
+      // ffmpeg may exit early on bad input; ignore the resulting broken pipe
+      child.stdin.on('error', () => {});
+      child.stdin.end(buffer);
+    });
+  }
+}
+
+function downmix(channels) {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0].length);
+  for (const channel of channels) {
+    for (let i = 0; i < mono.length; i++) mono[i] += channel[i] / channels.length;
+  }
+  return mono;
+}
+
+// Linear interpolation; when downsampling, each output sample averages the
+// input samples it covers so higher frequencies don't alias
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    if (ratio > 1) {
+      const start = Math.floor(position);
+      const end = Math.min(samples.length, Math.floor(position + ratio));
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += samples[j];
+      output[i] = sum / Math.max(1, end - start);
+    } else {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const next = index + 1 < samples.length ? samples[index + 1] : samples[index];
+      output[i] = samples[index] * (1 - fraction) + next * fraction;
+    }
+  }
+  return output;
+}
+
+function rmsDbfs(samples, start = 0, end = samples.length) {
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / Math.max(1, end - start));
+  return rms > 0 ? 20 * Math.log10(rms) : -120;
+}
+
+// Energy-based VAD: frames louder than the noise floor (10th percentile
+// frame level) by vadMarginDb count as speech
+function detectVoiceActivity(samples, sampleRate, limits = AUDIO_INGEST_LIMITS) {
+  const frameSize = Math.round(sampleRate * limits.vadFrameMs / 1000);
+  const levels = [];
+  for (let start = 0; start < samples.length; start += frameSize) {
+    levels.push(rmsDbfs(samples, start, Math.min(samples.length, start + frameSize)));
+  }
+
+  const sorted = [...levels].sort((a, b) => a - b);
+  const noiseFloorDbfs = sorted[Math.floor(sorted.length * 0.1)] ?? -120;
+  const threshold = Math.max(noiseFloorDbfs + limits.vadMarginDb, limits.vadFloorDbfs);
+  const voiced = levels.map(level => level >= threshold);
+
+  const first = voiced.indexOf(true);
+  if (first === -1) {
+    return { start: 0, end: 0, speechMs: 0, speechDbfs: -120, noiseFloorDbfs, voiced };
+  }
+  const last = voiced.lastIndexOf(true);
+  const padding = Math.round(limits.vadPaddingMs / limits.vadFrameMs);
+
+  let energy = 0;
+  let voicedFrames = 0;
+  for (let frame = first; frame <= last; frame++) {
+    if (!voiced[frame]) continue;
+    energy += 10 ** (levels[frame] / 10);
+    voicedFrames += 1;
+  }
+
+  return {
+    start: Math.max(0, first - padding) * frameSize,
+    end: Math.min(samples.length, (last + 1 + padding) * frameSize),
+    speechMs: voicedFrames * limits.vadFrameMs,
+    speechDbfs: 10 * Math.log10(energy / voicedFrames),
+    noiseFloorDbfs,
+    voiced
+  };
+}
+
+function floatToPcm16(samples) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    pcm[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32767)));
+  }
+  return pcm;
+}
+
+// 16-bit PCM mono WAV
+function encodeWav(samples, sampleRate) {
+  const header = Buffer.alloc(44);
+  const dataSize = samples.length * 2;
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+  return Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataSize)]);
+}
+
+// ===================================================================
+// 3.2 PRONUNCIATION SCORING
+// ===================================================================
+
+// Alignment costs. Similar sounds (a tap for a trill) cost half a mistake;
+// an extra sound costs a little less than a missing one.
+const PRONUNCIATION_COSTS = {
+  similar: 0.5,
+  substitution: 1,
+  deletion: 1,
+  insertion: 0.75
+};
+
+// Rule-based grapheme-to-phoneme conversion from the pack's `pronunciation`
+// block. Packs without rules fall back to one phoneme per letter, keeping the
+// digraphs listed in `phonemes` (ch, ll, rr) together.
+class GraphemeToPhoneme {
+  constructor(languageDB) {
+    this.languageDB = languageDB;
+    // Language code -> { packVersion, rules }; a pack reload changes the version
+    this.compiled = new Map();
+  }
+
+  getRules(languageCode) {
+    const language = this.languageDB.getLanguage(languageCode || '');
+    if (!language) {
+      throw httpError(400, `Unknown language: ${languageCode}`);
+    }
+
+    const code = languageCode.toLowerCase();
+    const cached = this.compiled.get(code);
+    if (cached && cached.packVersion === language.packVersion) return cached.rules;
+
+    const rules = compilePronunciationRules(language);
+    this.compiled.set(code, { packVersion: language.packVersion, rules });
+    return rules;
+  }
+
+  // One unit per expected phoneme: { phoneme, grapheme, word, accept }
+  convert(text, languageCode) {
+    const rules = this.getRules(languageCode);
+    const units = [];
+    const words = String(text || '').normalize('NFC').toLowerCase().replace(/’/g, '\'').match(/[\p{L}\p{M}']+/gu) || [];
+    for (const word of words) {
+      units.push(...wordToPhonemes(word, rules));
+    }
+    return units;
+  }
+}
+
+function compilePronunciationRules(language) {
+  const pronunciation = language.pronunciation || {};
+  const normalize = graphemes => graphemes.normalize('NFC').toLowerCase();
+  const rules = (pronunciation.rules || []).map(rule => ({ ...rule, graphemes: normalize(rule.graphemes) }));
+  for (const unit of language.phonemes || []) {
+    const graphemes = normalize(unit);
+    if (!rules.some(rule => rule.graphemes === graphemes)) rules.push({ graphemes, phonemes: [graphemes] });
+  }
+
+  // First letter -> rules, longest graphemes first. The sort is stable, so
+  // among rules of the same length the pack's order wins: contextual rules
+  // must come before the general rule for the same letters.
+  const byLetter = new Map();
+  for (const rule of rules) {
+    const first = rule.graphemes[0];
+    if (!byLetter.has(first)) byLetter.set(first, []);
+    byLetter.get(first).push(rule);
+  }
+  for (const candidates of byLetter.values()) {
+    candidates.sort((a, b) => b.graphemes.length - a.graphemes.length);
+  }
+
+  return {
+    byLetter,
+    allophones: pronunciation.allophones || {},
+    similar: pronunciation.similar || {},
+    tips: pronunciation.tips || []
+  };
+}
+
+function wordToPhonemes(word, rules) {
+  const units = [];
+  let i = 0;
+  while (i < word.length) {
+    const rule = (rules.byLetter.get(word[i]) || []).find(candidate => pronunciationRuleMatches(candidate, word, i));
+    if (rule) {
+      for (const phoneme of rule.phonemes) {
+        units.push({ phoneme, grapheme: rule.graphemes, word, accept: rule.accept || [] });
+      }
+      i += rule.graphemes.length;
+      continue;
+    }
+
+    // No rule: the letter with any combining marks is its own phoneme
+    const [letter] = word.slice(i).match(/^\P{M}\p{M}*/u);
+    units.push({ phoneme: letter, grapheme: letter, word, accept: [] });
+    i += letter.length;
+  }
+  return units;
+}
+
+function pronunciationRuleMatches(rule, word, index) {
+  const end = index + rule.graphemes.length;
+  if (!word.startsWith(rule.graphemes, index)) return false;
+  if (rule.position === 'initial' && index !== 0) return false;
+  if (rule.position === 'final' && end !== word.length) return false;
+  if (rule.before && !rule.before.includes(word[end])) return false;
+  if (rule.after && !rule.after.includes(word[index - 1])) return false;
+  return true;
+}
+
+function phonemeListed(table, a, b) {
+  return (table[a] || []).includes(b) || (table[b] || []).includes(a);
+}
+
+function phonemeSubstitutionCost(unit, heard, rules, costs) {
+  if (unit.phoneme === heard || unit.accept.includes(heard) || phonemeListed(rules.allophones, unit.phoneme, heard)) return 0;
+  return phonemeListed(rules.similar, unit.phoneme, heard) ? costs.similar : costs.substitution;
+}
+
+// Weighted edit distance between the expected units and the recognised
+// phonemes, traced back into one verdict per phoneme: correct, substitution,
+// deletion (expected but not heard) or insertion (heard but not expected)
+function alignPhonemes(expected, heard, rules, costs = PRONUNCIATION_COSTS) {
+  const rows = expected.length + 1;
+  const cols = heard.length + 1;
+  const distance = new Float64Array(rows * cols);
+  for (let i = 1; i < rows; i++) distance[i * cols] = i * costs.deletion;
+  for (let j = 1; j < cols; j++) distance[j] = j * costs.insertion;
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      distance[i * cols + j] = Math.min(
+        distance[(i - 1) * cols + j - 1] + phonemeSubstitutionCost(expected[i - 1], heard[j - 1], rules, costs),
+        distance[(i - 1) * cols + j] + costs.deletion,
+        distance[i * cols + j - 1] + costs.insertion
+      );
+    }
+  }
+
+  const alignment = [];
+  let i = expected.length;
+  let j = heard.length;
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+  while (i > 0 || j > 0) {
+    const here = distance[i * cols + j];
+    const unit = expected[i - 1];
+    if (i > 0 && j > 0) {
+      const cost = phonemeSubstitutionCost(unit, heard[j - 1], rules, costs);
+      if (near(here, distance[(i - 1) * cols + j - 1] + cost)) {
+        alignment.push({
+          verdict: cost === 0 ? 'correct' : 'substitution',
+          expected: unit.phoneme,
+          heard: heard[j - 1],
+          grapheme: unit.grapheme,
+          word: unit.word,
+          cost
+        });
+        i -= 1;
+        j -= 1;
+        continue;
+      }
+    }
+    if (i > 0 && near(here, distance[(i - 1) * cols + j] + costs.deletion)) {
+      alignment.push({ verdict: 'deletion', expected: unit.phoneme, heard: null, grapheme: unit.grapheme, word: unit.word, cost: costs.deletion });
+      i -= 1;
+      continue;
+    }
+    // Extra sounds belong to the word they were heard in or next to
+    const neighbour = expected[i - 1] || expected[i];
+    alignment.push({ verdict: 'insertion', expected: null, heard: heard[j - 1], grapheme: null, word: neighbour ? neighbour.word : null, cost: costs.insertion });
+    j -= 1;
+  }
+  return alignment.reverse();
+}
+
+// 0-100: the share of expected phonemes left after charging for mistakes
+function scorePronunciation(alignment, expectedCount) {
+  if (expectedCount === 0) return null;
+  const cost = alignment.reduce((sum, entry) => sum + entry.cost, 0);
+  return Math.round(100 * Math.max(0, 1 - cost / expectedCount));
+}
+
+// The pack's tips for the mistakes in an alignment, most frequent first. A tip
+// names the expected `phoneme`, what was `heard` instead, or both; the most
+// specific match wins.
+function pronunciationTips(alignment, rules) {
+  const found = new Map();
+  for (const entry of alignment) {
+    if (entry.verdict === 'correct') continue;
+
+    const tip = rules.tips.find(candidate => candidate.phoneme === entry.expected && candidate.heard === entry.heard) ||
+      (entry.expected !== null && rules.tips.find(candidate => candidate.phoneme === entry.expected && !candidate.heard)) ||
+      (entry.heard !== null && rules.tips.find(candidate => candidate.heard === entry.heard && !candidate.phoneme));
+    if (!tip) continue;
+
+    if (!found.has(tip)) {
+      found.set(tip, { phoneme: tip.phoneme || null, heard: tip.heard || null, tip: tip.tip, words: [], count: 0 });
+    }
+    const summary = found.get(tip);
+    summary.count += 1;
+    if (entry.word && !summary.words.includes(entry.word)) summary.words.push(entry.word);
+  }
+  return [...found.values()].sort((a, b) => b.count - a.count);
+}
+
+function describePhonemeError(entry) {
+  if (entry.verdict === 'substitution') {
+    return `"${entry.grapheme}" sounded like /${entry.heard}/ instead of /${entry.expected}/`;
+  }
+  if (entry.verdict === 'deletion') {
+    return `"${entry.grapheme}" (/${entry.expected}/) was missing`;
+  }
+  return `an extra /${entry.heard}/ sound`;
+}
+
+// ===================================================================
+// 3.3 PROSODY & FLUENCY
+// ===================================================================
+
+// Everything here runs on the ingested 16 kHz mono samples, without any
+// external service
+const PROSODY_SETTINGS = {
+  hopMs: 10,
+  frameMs: 40,
+  minPitchHz: 70,
+  maxPitchHz: 400,
+  // Normalised autocorrelation a frame needs to count as voiced
+  voicingThreshold: 0.5,
+  // Frames this far below the loudest one count as silence even in a noisy room
+  dynamicRangeDb: 35,
+  // Silences shorter than this are part of articulation, not pauses
+  minPauseMs: 250,
+  longPauseMs: 1000,
+  // A syllable nucleus is an intensity peak this far above the dip before it
+  nucleusProminenceDb: 2,
+  minSyllableMs: 80,
+  // Filled pauses ("uh", "eh"): voicing held this long at a steady pitch and level
+  filledPauseMinMs: 300,
+  filledPauseBandSemitones: 1,
+  filledPauseBandDb: 4,
+  // Syllables this far from the speaker's median pitch count as high or low tone
+  toneBandSemitones: 0.5,
+  // A move this large from one syllable to the next is a step up or down
+  toneStepSemitones: 1.5,
+  // Mean contour difference at which similarity to a reference reaches 0
+  maxContourDistanceSemitones: 4
+};
+
+// Tone alignment reuses the phoneme aligner; a level tone is half a miss
+const TONE_ALIGNMENT_RULES = {
+  allophones: {},
+  similar: { high: ['mid'], low: ['mid'] },
+  tips: []
+};
+
+const TONE_STEP_ALIGNMENT_RULES = {
+  allophones: {},
+  similar: { up: ['level'], down: ['level'] },
+  tips: []
+};
+
+const TONE_HEIGHTS = { low: 0, mid: 1, high: 2 };
+
+// Frame measurements are shared by the prosody and fluency passes
+const speechFrameCache = new WeakMap();
+
+function speechFrames(audio, settings = PROSODY_SETTINGS) {
+  if (!speechFrameCache.has(audio)) {
+    speechFrameCache.set(audio, measureSpeechFrames(audio.samples, audio.sampleRate, settings));
+  }
+  return speechFrameCache.get(audio);
+}
+
+// Per-frame intensity, a speech/silence decision and pitch (null when unvoiced)
+function measureSpeechFrames(samples, sampleRate, settings = PROSODY_SETTINGS) {
+  const hop = Math.round(sampleRate * settings.hopMs / 1000);
+  const size = Math.round(sampleRate * settings.frameMs / 1000);
+  const intensity = [];
+  for (let start = 0; start + size <= samples.length; start += hop) {
+    intensity.push(rmsDbfs(samples, start, start + size));
+  }
+
+  const threshold = speechThreshold(intensity, settings);
+  const speech = intensity.map(level => level >= threshold);
+
+  const minLag = Math.floor(sampleRate / settings.maxPitchHz);
+  const maxLag = Math.ceil(sampleRate / settings.minPitchHz);
+  const pitch = speech.map((isSpeech, frame) => (isSpeech
+    ? estimatePitch(samples, frame * hop, size, minLag, maxLag, sampleRate, settings.voicingThreshold)
+    : null));
+
+  return { hopMs: settings.hopMs, intensity, speech, pitch: smoothPitch(pitch) };
+}
+
+// Frame level that counts as speech. Never below the VAD floor.
+function speechThreshold(intensity, settings = PROSODY_SETTINGS) {
+  const sorted = [...intensity].sort((a, b) => a - b);
+  const noiseFloorDbfs = sorted[Math.floor(sorted.length * 0.1)] ?? -120;
+  const peakDbfs = sorted[sorted.length - 1] ?? -120;
+  return Math.max(
+    noiseFloorDbfs + AUDIO_INGEST_LIMITS.vadMarginDb,
+    AUDIO_INGEST_LIMITS.vadFloorDbfs,
+    peakDbfs - settings.dynamicRangeDb
+  );
+}
+
+// Normalised autocorrelation over the pitch range. The shortest lag close to
+// the best peak wins, which avoids reporting half the real pitch.
+function estimatePitch(samples, start, size, minLag, maxLag, sampleRate, voicingThreshold) {
+  const window = size - maxLag;
+  if (window <= 0) return null;
+
+  let energy = 0;
+  for (let i = start; i < start + window; i++) energy += samples[i] * samples[i];
+  if (energy === 0) return null;
+
+  let lagEnergy = 0;
+  for (let i = start + minLag; i < start + minLag + window; i++) lagEnergy += samples[i] * samples[i];
+
+  const scores = new Float64Array(maxLag + 2);
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = start; i < start + window; i++) sum += samples[i] * samples[i + lag];
+    scores[lag] = lagEnergy > 0 ? sum / Math.sqrt(energy * lagEnergy) : 0;
+    lagEnergy += samples[start + lag + window] ** 2 - samples[start + lag] ** 2;
+  }
+
+  let best = minLag;
+  for (let lag = minLag + 1; lag <= maxLag; lag++) {
+    if (scores[lag] > scores[best]) best = lag;
+  }
+  if (scores[best] < voicingThreshold) return null;
+
+  let chosen = best;
+  for (let lag = minLag + 1; lag < best; lag++) {
+    if (scores[lag] >= 0.9 * scores[best] && scores[lag] >= scores[lag - 1] && scores[lag] >= scores[lag + 1]) {
+      chosen = lag;
+      break;
+    }
+  }
+
+  // Parabolic interpolation between neighbouring lags
+  const before = scores[chosen - 1] || 0;
+  const after = scores[chosen + 1] || 0;
+  const curvature = before - 2 * scores[chosen] + after;
+  const offset = chosen > minLag && chosen < maxLag && curvature !== 0 ? (before - after) / (2 * curvature) : 0;
+  return sampleRate / (chosen + offset);
+}
+
+// Drops voiced runs too short to be speech, then median-filters octave jumps
+function smoothPitch(pitch) {
+  const cleaned = pitch.slice();
+  for (let i = 0; i < cleaned.length;) {
+    if (cleaned[i] === null) {
+      i += 1;
+      continue;
+    }
+    let end = i;
+    while (end < cleaned.length && cleaned[end] !== null) end += 1;
+    if (end - i < 3) cleaned.fill(null, i, end);
+    i = end;
+  }
+
+  return cleaned.map((value, i) => {
+    if (value === null) return null;
+    const neighbours = cleaned.slice(Math.max(0, i - 2), i + 3).filter(entry => entry !== null).sort((a, b) => a - b);
+    return neighbours[Math.floor(neighbours.length / 2)];
+  });
+}
+
+function semitones(hz, referenceHz) {
+  return 12 * Math.log2(hz / referenceHz);
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function roundMeasure(value, digits = 1) {
+  return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+// Intensity peaks in voiced speech, one per syllable
+function findSyllableNuclei(frames, settings = PROSODY_SETTINGS) {
+  const { intensity, speech, pitch, hopMs } = frames;
+  const smoothed = intensity.map((_, i) => {
+    const window = intensity.slice(Math.max(0, i - 1), i + 2);
+    return window.reduce((sum, level) => sum + level, 0) / window.length;
+  });
+  const minGap = Math.round(settings.minSyllableMs / hopMs);
+
+  const nuclei = [];
+  let dip = Infinity;
+  for (let i = 1; i < smoothed.length - 1; i++) {
+    dip = Math.min(dip, smoothed[i]);
+    const isPeak = smoothed[i] >= smoothed[i - 1] && smoothed[i] > smoothed[i + 1];
+    if (!isPeak || !speech[i] || pitch[i] === null) continue;
+    if (smoothed[i] - dip < settings.nucleusProminenceDb && nuclei.length > 0) continue;
+
+    const last = nuclei[nuclei.length - 1];
+    if (last !== undefined && i - last < minGap) {
+      if (smoothed[i] > smoothed[last]) nuclei[nuclei.length - 1] = i;
+      continue;
+    }
+    nuclei.push(i);
+    dip = smoothed[i];
+  }
+  return nuclei;
+}
+
+function findPauses(frames, settings = PROSODY_SETTINGS) {
+  const { speech, hopMs } = frames;
+  const first = speech.indexOf(true);
+  const last = speech.lastIndexOf(true);
+  const pauses = [];
+  if (first === -1) return { pauses, spanMs: 0 };
+
+  for (let i = first; i <= last;) {
+    if (speech[i]) {
+      i += 1;
+      continue;
+    }
+    let end = i;
+    while (end <= last && !speech[end]) end += 1;
+    const durationMs = (end - i) * hopMs;
+    if (durationMs >= settings.minPauseMs) pauses.push({ startMs: i * hopMs, durationMs });
+    i = end;
+  }
+  return { pauses, spanMs: (last - first + 1) * hopMs };
+}
+
+// Voicing held at a near-constant pitch and level, the shape of "uh" or "eh"
+function findFilledPauses(frames, settings = PROSODY_SETTINGS) {
+  const { pitch, intensity, hopMs } = frames;
+  const minFrames = Math.round(settings.filledPauseMinMs / hopMs);
+  const found = [];
+
+  for (let start = 0; start < pitch.length;) {
+    if (pitch[start] === null) {
+      start += 1;
+      continue;
+    }
+    let end = start + 1;
+    while (end < pitch.length && pitch[end] !== null &&
+      Math.abs(semitones(pitch[end], pitch[start])) <= settings.filledPauseBandSemitones &&
+      Math.abs(intensity[end] - intensity[start]) <= settings.filledPauseBandDb) {
+      end += 1;
+    }
+    if (end - start >= minFrames) {
+      found.push({ startMs: start * hopMs, durationMs: (end - start) * hopMs });
+      start = end;
+    } else {
+      start += 1;
+    }
+  }
+  return found;
+}
+
+// Syllables of the expected text with the tone its spelling marks, for packs
+// whose prosody block lists vowels and toneMarks (Navajo marks high tone with
+// an acute accent; unmarked syllables are low)
+function expectedTones(text, prosody) {
+  if (!prosody || !prosody.vowels || !prosody.toneMarks) return [];
+  const vowel = `[${escapeRegExp(prosody.vowels)}]\\p{M}*`;
+  const nucleus = new RegExp(`(?:${vowel})+`, 'gu');
+  const tones = [];
+  for (const word of String(text || '').normalize('NFD').toLowerCase().match(/[\p{L}\p{M}'’]+/gu) || []) {
+    for (const [syllable] of word.matchAll(nucleus)) {
+      const tone = Object.keys(prosody.toneMarks).find(level => syllable.includes(prosody.toneMarks[level])) ||
+        prosody.defaultTone || 'low';
+      tones.push({ tone, syllable: syllable.normalize('NFC'), word: word.normalize('NFC') });
+    }
+  }
+  return tones;
+}
+
+// Dynamic time warping over two speaker-normalised contours, two rows at a
+// time; returns the mean semitone difference along the best path
+function contourDistance(a, b) {
+  if (a.length === 0 || b.length === 0) return null;
+  let previous = new Float64Array(b.length + 1).fill(Infinity);
+  let previousSteps = new Float64Array(b.length + 1);
+  previous[0] = 0;
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Float64Array(b.length + 1).fill(Infinity);
+    const steps = new Float64Array(b.length + 1);
+    for (let j = 1; j <= b.length; j++) {
+      const cost = Math.abs(a[i - 1] - b[j - 1]);
+      const options = [
+        [previous[j - 1], previousSteps[j - 1]],
+        [previous[j], previousSteps[j]],
+        [current[j - 1], steps[j - 1]]
+      ];
+      const [bestCost, bestSteps] = options.reduce((best, option) => (option[0] < best[0] ? option : best));
+      current[j] = bestCost + cost;
+      steps[j] = bestSteps + 1;
+    }
+    previous = current;
+    previousSteps = steps;
+  }
+  return previous[b.length] / previousSteps[b.length];
+}
+
+// Voiced pitch in semitones around the speaker's median, every other frame
+function normalisedContour(frames) {
+  const voiced = frames.pitch.filter(hz => hz !== null);
+  const median = percentile([...voiced].sort((a, b) => a - b), 0.5);
+  return voiced.filter((_, i) => i % 2 === 0).map(hz => semitones(hz, median));
+}
+
+function summarisePitch(frames, settings = PROSODY_SETTINGS) {
+  const voiced = frames.pitch.filter(hz => hz !== null);
+  const sorted = [...voiced].sort((a, b) => a - b);
+  const median = percentile(sorted, 0.5);
+  const summary = {
+    hopMs: frames.hopMs,
+    contour: frames.pitch.map(hz => roundMeasure(hz)),
+    voicedMs: voiced.length * frames.hopMs,
+    meanHz: null,
+    medianHz: roundMeasure(median),
+    minHz: roundMeasure(percentile(sorted, 0.05)),
+    maxHz: roundMeasure(percentile(sorted, 0.95)),
+    rangeSemitones: null,
+    variabilitySemitones: null,
+    finalDirection: null
+  };
+  if (voiced.length === 0) return summary;
+
+  summary.meanHz = roundMeasure(voiced.reduce((sum, hz) => sum + hz, 0) / voiced.length);
+  summary.rangeSemitones = roundMeasure(semitones(percentile(sorted, 0.95), percentile(sorted, 0.05)));
+  const offsets = voiced.map(hz => semitones(hz, median));
+  const meanOffset = offsets.reduce((sum, value) => sum + value, 0) / offsets.length;
+  summary.variabilitySemitones = roundMeasure(Math.sqrt(offsets.reduce((sum, value) => sum + (value - meanOffset) ** 2, 0) / offsets.length));
+
+  // Rising or falling over the last 300 ms of voicing, as at the end of a question
+  const tail = voiced.slice(-Math.round(300 / frames.hopMs));
+  if (tail.length >= 6) {
+    const half = Math.floor(tail.length / 2);
+    const mean = values => values.reduce((sum, hz) => sum + hz, 0) / values.length;
+    const change = semitones(mean(tail.slice(half)), mean(tail.slice(0, half)));
+    summary.finalDirection = change > 1 ? 'rising' : change < -1 ? 'falling' : 'level';
+  }
+  return summary;
+}
+
+// Rates are syllables per second, over the whole utterance (speechRate) and
+// over the time spent talking rather than pausing (articulationRate)
+function measureFluency(frames, transcription, settings = PROSODY_SETTINGS) {
+  const syllables = findSyllableNuclei(frames, settings).length;
+  const { pauses, spanMs } = findPauses(frames, settings);
+  const filledPauses = findFilledPauses(frames, settings);
+  const pauseMs = pauses.reduce((sum, pause) => sum + pause.durationMs, 0);
+  const articulationMs = spanMs - pauseMs;
+  const durations = pauses.map(pause => pause.durationMs).sort((a, b) => a - b);
+  const words = transcription && transcription.text ? transcription.text.trim().split(/\s+/).filter(Boolean).length : 0;
+
+  return {
+    durationMs: spanMs,
+    articulationMs,
+    syllables,
+    speechRate: spanMs ? roundMeasure(syllables / (spanMs / 1000), 2) : null,
+    articulationRate: articulationMs ? roundMeasure(syllables / (articulationMs / 1000), 2) : null,
+    wordsPerMinute: words && spanMs ? Math.round(words / (spanMs / 60000)) : null,
+    pauses: {
+      count: pauses.length,
+      totalMs: pauseMs,
+      meanMs: pauses.length ? Math.round(pauseMs / pauses.length) : null,
+      medianMs: percentile(durations, 0.5),
+      longestMs: durations.length ? durations[durations.length - 1] : null,
+      distribution: {
+        short: durations.filter(duration => duration < 500).length,
+        medium: durations.filter(duration => duration >= 500 && duration < settings.longPauseMs).length,
+        long: durations.filter(duration => duration >= settings.longPauseMs).length
+      },
+      items: pauses
+    },
+    filledPauses: {
+      count: filledPauses.length,
+      totalMs: filledPauses.reduce((sum, pause) => sum + pause.durationMs, 0),
+      items: filledPauses
+    },
+    feedback: []
+  };
+}
+
+// Pitch movement into each syllable after the first: up, down or level
+function expectedToneSteps(tones) {
+  return tones.slice(1).map((current, i) => {
+    const change = TONE_HEIGHTS[current.tone] - TONE_HEIGHTS[tones[i].tone];
+    const step = change > 0 ? 'up' : change < 0 ? 'down' : 'level';
+    return { phoneme: step, grapheme: current.syllable, word: current.word, accept: [] };
+  });
+}
+
+function heardToneSteps(syllables, settings = PROSODY_SETTINGS) {
+  return syllables.slice(1).map((current, i) => {
+    const change = current.semitones - syllables[i].semitones;
+    return change >= settings.toneStepSemitones ? 'up' : change <= -settings.toneStepSemitones ? 'down' : 'level';
+  });
+}
+
+// Pitch of each syllable nucleus as high, mid or low, relative to the average
+// syllable in the utterance
+function syllableTones(frames, nuclei, settings = PROSODY_SETTINGS) {
+  const pitches = nuclei.map(frame => frames.pitch[frame]);
+  if (pitches.length === 0) return [];
+  const centre = 2 ** (pitches.reduce((sum, hz) => sum + Math.log2(hz), 0) / pitches.length);
+  return nuclei.map((frame, i) => {
+    const offset = semitones(pitches[i], centre);
+    return {
+      timeMs: frame * frames.hopMs,
+      semitones: roundMeasure(offset),
+      tone: offset >= settings.toneBandSemitones ? 'high' : offset <= -settings.toneBandSemitones ? 'low' : 'mid'
+    };
+  });
+}
+
+// ===================================================================
+// 3.4 STREAMING SPEECH
+// ===================================================================
+
+const SPEECH_STREAM_LIMITS = {
+  maxDurationMs: AUDIO_INGEST_LIMITS.maxDurationMs,
+  // New audio needed before the next partial result
+  partialIntervalMs: 1000,
+  // Partial results transcribe and score at most this much of the latest audio
+  partialWindowMs: 8000,
+  // Audio not yet analysed at which the socket stops reading; it resumes
+  // once the backlog is below half of this
+  highWaterMs: 4000,
+  // Partial results are skipped while this much is still queued for the client
+  maxSendBufferBytes: 256 * 1024
+};
+
+// A stream's audio as 16 kHz mono samples with its frame measurements,
+// extended as audio arrives so each partial only measures what's new. Pitch
+// is tracked for every frame above the VAD floor, the lowest the speech
+// threshold can go; the speech/silence split is redone over the kept levels.
+class StreamingSpeechFrames {
+  constructor(sampleRate, channels, settings = PROSODY_SETTINGS) {
+    this.settings = settings;
+    this.channels = channels;
+    this.ratio = sampleRate / SPEECH_SAMPLE_RATE;
+    this.hop = Math.round(SPEECH_SAMPLE_RATE * settings.hopMs / 1000);
+    this.size = Math.round(SPEECH_SAMPLE_RATE * settings.frameMs / 1000);
+    this.minLag = Math.floor(SPEECH_SAMPLE_RATE / settings.maxPitchHz);
+    this.maxLag = Math.ceil(SPEECH_SAMPLE_RATE / settings.minPitchHz);
+
+    // Mono at the stream's rate, then resampled; both grow as needed
+    this.source = new Float32Array(sampleRate);
+    this.sourceLength = 0;
+    this.samples = new Float32Array(SPEECH_SAMPLE_RATE);
+    this.length = 0;
+    // Bytes of a sample frame split across chunks
+    this.remainder = Buffer.alloc(0);
+    this.intensity = [];
+    this.rawPitch = [];
+  }
+
+  append(chunk) {
+    const bytes = this.remainder.length ? Buffer.concat([this.remainder, chunk]) : chunk;
+    const frameBytes = 2 * this.channels;
+    const whole = bytes.length - (bytes.length % frameBytes);
+    this.remainder = Buffer.from(bytes.subarray(whole));
+
+    this.source = growSamples(this.source, this.sourceLength + whole / frameBytes);
+    for (let at = 0; at < whole; at += frameBytes) {
+      let sum = 0;
+      for (let channel = 0; channel < this.channels; channel++) sum += bytes.readInt16LE(at + 2 * channel) / 32768;
+      this.source[this.sourceLength++] = sum / this.channels;
+    }
+    this.resampleNew();
+    this.measureNew();
+  }
+
+  // Same interpolation and averaging as resample(), one output sample at a
+  // time once the input it needs has arrived
+  resampleNew() {
+    const { ratio, source, sourceLength } = this;
+    this.samples = growSamples(this.samples, Math.floor(sourceLength / ratio));
+    for (;;) {
+      const position = this.length * ratio;
+      const index = Math.floor(position);
+      if (ratio > 1) {
+        const end = Math.floor(position + ratio);
+        if (end > sourceLength) break;
+        let sum = 0;
+        for (let j = index; j < end; j++) sum += source[j];
+        this.samples[this.length++] = sum / Math.max(1, end - index);
+      } else {
+        if (index + 1 >= sourceLength) break;
+        const fraction = position - index;
+        this.samples[this.length++] = source[index] * (1 - fraction) + source[index + 1] * fraction;
+      }
+    }
+  }
+
+  measureNew() {
+    const { hop, size, settings } = this;
+    for (let start = this.intensity.length * hop; start + size <= this.length; start += hop) {
+      const level = rmsDbfs(this.samples, start, start + size);
+      this.intensity.push(level);
+      this.rawPitch.push(level >= AUDIO_INGEST_LIMITS.vadFloorDbfs
+        ? estimatePitch(this.samples, start, size, this.minLag, this.maxLag, SPEECH_SAMPLE_RATE, settings.voicingThreshold)
+        : null);
+    }
+  }
+
+  // Measurements in the shape measureSpeechFrames() returns
+  frames() {
+    const threshold = speechThreshold(this.intensity, this.settings);
+    const speech = this.intensity.map(level => level >= threshold);
+    const pitch = this.rawPitch.map((hz, frame) => (speech[frame] ? hz : null));
+    return { hopMs: this.settings.hopMs, intensity: this.intensity.slice(), speech, pitch: smoothPitch(pitch) };
+  }
+
+  // First sample of the last `windowMs` of audio, moved forward to a silent
+  // frame close by so the window doesn't start mid-word
+  windowStart(windowMs, frames) {
+    const first = Math.ceil(Math.max(0, this.length - windowMs * SPEECH_SAMPLE_RATE / 1000) / this.hop);
+    if (first === 0) return 0;
+    const silent = frames.speech.indexOf(false, first);
+    const reach = Math.round(windowMs / 4 / frames.hopMs);
+    return (silent !== -1 && silent - first <= reach ? silent : first) * this.hop;
+  }
+
+  pcm(start = 0) {
+    const pcm16 = floatToPcm16(this.samples.subarray(start, this.length));
+    return Buffer.from(pcm16.buffer, pcm16.byteOffset, pcm16.byteLength);
+  }
+}
+
+function growSamples(samples, needed) {
+  if (needed <= samples.length) return samples;
+  const grown = new Float32Array(Math.max(needed, samples.length * 2));
+  grown.set(samples);
+  return grown;
+}
+
+// One utterance streamed as 16-bit little-endian PCM. Partial analyses run
+// one at a time on the audio received so far, measuring only what arrived
+// since the last one; finish() runs the full analysis.
+class SpeechStreamSession {
+  constructor(speechProcessor, { id, languageCode, expectedText = '', sampleRate = SPEECH_SAMPLE_RATE, channels = 1 }, limits = SPEECH_STREAM_LIMITS) {
+    if (!speechProcessor.languageDB.getLanguage(languageCode || '')) {
+      throw httpError(400, `Unknown language: ${languageCode}`);
+    }
+    const rate = Number(sampleRate);
+    const channelCount = Number(channels);
+    if (!(rate >= 8000 && rate <= 48000) || !(channelCount === 1 || channelCount === 2)) {
+      throw httpError(400, 'Streams need a sampleRate between 8000 and 48000 and 1 or 2 channels');
+    }
+
+    checkExpectedText(expectedText);
+
+    this.speechProcessor = speechProcessor;
+    this.limits = limits;
+    this.id = id;
+    this.languageCode = languageCode;
+    this.expectedText = expectedText;
+    this.sampleRate = rate;
+    this.channels = channelCount;
+    this.frameBytes = 2 * channelCount;
+    this.bytesPerMs = rate * this.frameBytes / 1000;
+    this.maxBytes = Math.floor(limits.maxDurationMs * this.bytesPerMs / this.frameBytes) * this.frameBytes;
+
+    this.state = 'streaming';
+    this.chunks = [];
+    this.receivedBytes = 0;
+    this.analysedBytes = 0;
+    this.frames = new StreamingSpeechFrames(rate, channelCount);
+    this.measuredChunks = 0;
+    this.partialRunning = false;
+    this.truncated = false;
+    // What earlier partials already told the learner
+    this.sentTips = new Set();
+    this.reportedLongPauses = 0;
+    this.reportedFilledPauses = 0;
+  }
+
+  receivedMs() {
+    return Math.round(this.receivedBytes / this.bytesPerMs);
+  }
+
+  pendingMs() {
+    return (this.receivedBytes - this.analysedBytes) / this.bytesPerMs;
+  }
+
+  // Returns false when the chunk hit the length limit; the part that fits is kept
+  append(chunk) {
+    if (this.state !== 'streaming') {
+      throw httpError(409, 'This speech stream is no longer accepting audio');
+    }
+    const room = this.maxBytes - this.receivedBytes;
+    const accepted = chunk.length > room ? chunk.subarray(0, room) : chunk;
+    if (accepted.length > 0) {
+      this.chunks.push(accepted);
+      this.receivedBytes += accepted.length;
+    }
+    if (accepted.length < chunk.length) {
+      this.truncated = true;
+      return false;
+    }
+    return true;
+  }
+
+  shouldRunPartial() {
+    return this.state === 'streaming' && !this.partialRunning &&
+      this.receivedBytes - this.analysedBytes >= this.limits.partialIntervalMs * this.bytesPerMs;
+  }
+
+  async ingest() {
+    // Chunks may split a sample; a trailing partial frame is dropped
+    const pcm = Buffer.concat(this.chunks);
+    const whole = pcm.subarray(0, pcm.length - (pcm.length % this.frameBytes));
+    return this.speechProcessor.audioIngestor.ingest(whole, 'audio/pcm', {
+      sampleRate: this.sampleRate,
+      channelCount: this.channels
+    });
+  }
+
+  // Resolves with null while there's nothing to report yet, e.g. before the
+  // learner has started speaking
+  async partial() {
+    this.partialRunning = true;
+    const covered = this.receivedBytes;
+    try {
+      for (; this.measuredChunks < this.chunks.length; this.measuredChunks++) {
+        this.frames.append(this.chunks[this.measuredChunks]);
+      }
+      const frames = this.frames.frames();
+      const speechMs = frames.speech.filter(Boolean).length * frames.hopMs;
+      if (speechMs < AUDIO_INGEST_LIMITS.minSpeechMs) return null;
+
+      const start = this.frames.windowStart(this.limits.partialWindowMs, frames);
+      const analysis = await this.speechProcessor.analyzePartialSpeech(
+        { pcm: this.frames.pcm(start), sampleRate: SPEECH_SAMPLE_RATE },
+        this.languageCode,
+        { expectedText: this.expectedText, frames, midUtterance: start > 0 }
+      );
+      return {
+        streamId: this.id,
+        // The audio this result covers; more may have arrived meanwhile
+        receivedMs: Math.round(covered / this.bytesPerMs),
+        // Where the transcribed and scored audio starts
+        windowStartMs: Math.round(start / SPEECH_SAMPLE_RATE * 1000),
+        transcript: analysis.transcript,
+        pronunciationScore: analysis.pronunciationScore,
+        fluency: analysis.fluency,
+        hints: this.newHints(analysis)
+      };
+    } finally {
+      this.analysedBytes = Math.max(this.analysedBytes, covered);
+      this.partialRunning = false;
+    }
+  }
+
+  // Tips and pause warnings the learner hasn't been shown on this stream
+  newHints(analysis) {
+    const hints = [];
+    for (const tip of analysis.tips) {
+      if (this.sentTips.has(tip.tip)) continue;
+      this.sentTips.add(tip.tip);
+      hints.push({ type: 'pronunciation', phoneme: tip.phoneme, heard: tip.heard, words: tip.words, message: tip.tip });
+    }
+
+    const { longPauses, filledPauses } = analysis.fluency;
+    if (longPauses > this.reportedLongPauses) {
+      hints.push({ type: 'long_pause', message: 'That pause was over a second. Try to keep going to the end of the phrase.' });
+    }
+    if (filledPauses > this.reportedFilledPauses) {
+      hints.push({ type: 'filled_pause', message: 'Try a short silent pause instead of "uh" or "eh".' });
+    }
+    this.reportedLongPauses = Math.max(this.reportedLongPauses, longPauses);
+    this.reportedFilledPauses = Math.max(this.reportedFilledPauses, filledPauses);
+    return hints;
+  }
+
+  async finish(userId) {
+    if (this.state !== 'streaming') {
+      throw httpError(409, 'This speech stream has already finished');
+    }
+    this.state = 'finishing';
+    try {
+      const audio = await this.ingest();
+      const result = await this.speechProcessor.processSpeechInput(audio.pcm, this.languageCode, userId, {
+        expectedText: this.expectedText,
+        audio
+      });
+      const { samples, pcm, ...audioSummary } = audio;
+      return { streamId: this.id, receivedMs: this.receivedMs(), truncated: this.truncated, ...result, audio: audioSummary };
+    } finally {
+      this.state = 'done';
+    }
+  }
+}
+
+// ===================================================================
+// 3.5 AUDIO ASSET STORE
+// ===================================================================
+
+const MAX_SYNTHESIS_TEXT_LENGTH = 2000;
+
+const AUDIO_FILE_EXTENSIONS = {
+  'audio/wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm'
+};
+
+// Synthesised speech on disk, named by a hash of everything that shapes the
+// audio, so a phrase is only synthesised once per voice. Each asset is an
+// audio file plus a JSON sidecar; the least recently served go first once
+// the store is over its size budget. Audio from a fallback provider is kept
+// under an id of its own and never served from the store, so the phrase is
+// synthesised again once a hosted provider answers.
+class AudioAssetStore {
+  constructor({
+    dir = process.env.AUDIO_STORE_DIR || path.join(__dirname, 'data', 'audio'),
+    maxBytes = (Number(process.env.AUDIO_STORE_MAX_MB) || 256) * 1024 * 1024
+  } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    // Map iteration order doubles as recency order: oldest first
+    this.assets = new Map();
+    this.bytes = 0;
+    // Synthesis in progress by asset id, so concurrent requests share one
+    this.pending = new Map();
+    this.opening = null;
+  }
+
+  static assetId({ text, languageCode, voice, emotion }, { fallback = false } = {}) {
+    const key = JSON.stringify([
+      String(text).normalize('NFC').trim(),
+      String(languageCode).toLowerCase(),
+      voice,
+      emotion,
+      ...(fallback ? ['fallback'] : [])
+    ]);
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+  }
+
+  open() {
+    if (!this.opening) this.opening = this.loadIndex();
+    return this.opening;
+  }
+
+  async loadIndex() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const found = [];
+    for (const name of await fs.readdir(this.dir)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+        const stat = await fs.stat(this.filePath(meta));
+        found.push({ ...meta, size: stat.size, lastAccess: stat.mtimeMs });
+      } catch (error) {
+        console.warn(`Ignoring unreadable audio asset ${name}: ${error.message}`);
+      }
+    }
+
+    found.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const { lastAccess, ...asset } of found) {
+      this.assets.set(asset.id, asset);
+      this.bytes += asset.size;
+    }
+    await this.evict();
+    return this.assets.size;
+  }
+
+  filePath(asset) {
+    return path.join(this.dir, `${asset.id}.${AUDIO_FILE_EXTENSIONS[asset.contentType] || 'bin'}`);
+  }
+
+  // Resolves with the asset's metadata and marks it recently used, or null
+  async get(id) {
+    await this.open();
+    const asset = this.assets.get(id);
+    if (!asset) return null;
+
+    this.assets.delete(id);
+    this.assets.set(id, asset);
+    // File times carry recency across restarts
+    const now = new Date();
+    fs.utimes(this.filePath(asset), now, now).catch(() => {});
+    return asset;
+  }
+
+  // `synthesize` resolves with { audio, contentType, durationMs, provider,
+  // fallback } and only runs when the asset isn't stored yet
+  async getOrCreate(key, synthesize) {
+    const id = AudioAssetStore.assetId(key);
+    const stored = await this.get(id);
+    if (stored) return { ...stored, cached: true };
+
+    if (!this.pending.has(id)) {
+      const creating = (async () => {
+        const { fallback, ...result } = await synthesize();
+        const details = { languageCode: key.languageCode, voice: key.voice, emotion: key.emotion };
+        return fallback
+          ? this.put(AudioAssetStore.assetId(key, { fallback: true }), result, { ...details, fallback: true })
+          : this.put(id, result, details);
+      })();
+      this.pending.set(id, creating);
+      creating.then(() => this.pending.delete(id), () => this.pending.delete(id));
+    }
+    return { ...(await this.pending.get(id)), cached: false };
+  }
+
+  async put(id, { audio, contentType = 'audio/wav', durationMs = null, provider = null, ssml = null }, details = {}) {
+    await this.open();
+    const [baseType] = contentType.toLowerCase().split(';');
+    if (audio.length > this.maxBytes) {
+      throw httpError(413, 'The synthesised audio is larger than the audio store');
+    }
+
+    const asset = {
+      id,
+      contentType: baseType,
+      size: audio.length,
+      durationMs,
+      provider,
+      ssml,
+      ...details,
+      createdAt: new Date().toISOString()
+    };
+    // Audio first: a sidecar without its audio would be skipped on load anyway
+    await fs.writeFile(this.filePath(asset), audio);
+    await fs.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify(asset));
+
+    const previous = this.assets.get(id);
+    if (previous) this.bytes -= previous.size;
+    this.assets.delete(id);
+    this.assets.set(id, asset);
+    this.bytes += asset.size;
+    await this.evict();
+    return asset;
+  }
+
+  async evict() {
+    while (this.bytes > this.maxBytes && this.assets.size > 1) {
+      const [oldestId, oldest] = this.assets.entries().next().value;
+      this.assets.delete(oldestId);
+      this.bytes -= oldest.size;
+      // Readers already streaming the file keep their handle
+      await Promise.all([
+        fs.rm(this.filePath(oldest), { force: true }),
+        fs.rm(path.join(this.dir, `${oldestId}.json`), { force: true })
+      ]);
+    }
+  }
+
+  // `start` and `end` are inclusive byte offsets, as in a Range header
+  createReadStream(asset, { start = 0, end = asset.size - 1 } = {}) {
+    return createReadStream(this.filePath(asset), { start, end });
+  }
+
+  stats() {
+    return { assets: this.assets.size, bytes: this.bytes, maxBytes: this.maxBytes };
+  }
+}
+
+// Range header -> { start, end } (inclusive), null to send the whole file, or
+// 'unsatisfiable'. Multiple ranges aren't supported and get the whole file.
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  if (match[1] === '') {
+    const suffix = Number(match[2]);
+    if (suffix === 0 || size === 0) return 'unsatisfiable';
+    return { start: Math.max(0, size - suffix), end: size - 1 };
+  }
+  const start = Number(match[1]);
+  const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  if (start >= size || end < start) return 'unsatisfiable';
+  return { start, end };
+}
+
+function wavDurationMs(buffer) {
+  const { sampleRate, channels } = decodeWav(buffer);
+  return Math.round(channels[0].length / sampleRate * 1000);
+}
+
+// Reading time at about 2.5 words a second
+function estimateSpeechDurationMs(text, speed = 1) {
+  const words = String(text).trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(500, Math.round(words / 2.5 / speed * 1000));
+}
+
+// ===================================================================
+// 4. REAL-TIME TRANSLATION ENGINE
+// ===================================================================
+
+class TranslationEngine {
+  constructor(languageDB, options = {}) {
+    this.languageDB = languageDB;
+    this.translationCache = new LRUCache({
+      maxEntries: options.cacheMaxEntries || Number(process.env.TRANSLATION_CACHE_MAX_ENTRIES) || 10000,
+      maxBytes: (options.cacheMaxMB || Number(process.env.TRANSLATION_CACHE_MAX_MB) || 64) * 1024 * 1024,
+      ttlMs: (options.cacheTtlHours || Number(process.env.TRANSLATION_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+      persistPath: options.cachePath || process.env.TRANSLATION_CACHE_PATH || null
+    });
+    this.contextAwareTranslations = new Map();
+    const store = options.store || new MemoryStorageAdapter();
+    this.classes = options.classes || new ClassRoster(store);
+    this.glossaries = new GlossaryService(store, this.classes);
+    this.translationMemory = new TranslationMemory(store, this.classes);
+    this.formalityTransformer = new FormalityTransformer(languageDB);
+    this.integrations = options.integrations || new ExternalAPIIntegrations({ languageDB });
+  }
+
+  // `scope` names whose glossaries and translation memory apply: the
+  // requesting user and, optionally, the class they are translating for
+  async translateText(text, fromLang, toLang, context = {}, scope = {}) {
+    checkTranslationInput(text, context);
+    const { userId = null, classId = null } = scope;
+
+    // An exact approved segment is reused as-is; fuzzy ones ride along as suggestions
+    const memoryMatches = userId
+      ? await this.translationMemory.lookup(text, fromLang, toLang, { userId, classId })
+      : [];
+    if (memoryMatches[0] && memoryMatches[0].score === 1) {
+      await this.translationMemory.recordUse(memoryMatches[0].segmentId);
+      return {
+        translation: memoryMatches[0].target,
+        confidence: 1,
+        alternatives: [],
+        culturalNotes: [],
+        formality: (context && context.formality) || 'neutral',
+        source: 'translation_memory',
+        memoryMatches
+      };
+    }
+
+    const glossaryTerms = userId
+      ? await this.glossaries.termsFor({ userId, classId }, fromLang, toLang)
+      : [];
+    const cacheKey = translationCacheKey(text, fromLang, toLang, context, glossaryDigest(glossaryTerms));
+    
+    // Check cache first
+    let translation = this.translationCache.get(cacheKey);
+    if (translation === undefined) {
+      // Context-aware translation
+      translation = await this.performContextualTranslation(
+        text, fromLang, toLang, context, glossaryTerms
+      );
+
+      // Cache result, unless it is the stand-in for providers that were down:
+      // it would outlive their recovery
+      if (!translation.fallback && translation.confidence !== 0) {
+        this.translationCache.set(cacheKey, translation);
+      }
+    }
+    
+    return memoryMatches.length > 0 ? { ...translation, memoryMatches } : translation;
+  }
+
+  // Throws 400 unless both codes name languages in the database
+  requireLanguagePair(fromLang, toLang) {
+    if (typeof fromLang !== 'string' || typeof toLang !== 'string') {
+      throw httpError(400, 'fromLang and toLang are required');
+    }
+    for (const code of [fromLang, toLang]) {
+      if (!this.languageDB.getLanguage(code)) {
+        throw httpError(400, `Unknown language: ${code}`);
+      }
+    }
+  }
+
+  async performContextualTranslation(text, fromLang, toLang, context = {}, glossaryTerms = []) {
+    this.requireLanguagePair(fromLang, toLang);
+    const toLanguage = this.languageDB.getLanguage(toLang);
+    const glossaryInput = protectGlossaryTerms(text, glossaryTerms);
+    
+    // Machine translation from the provider registry, then formality and
+    // regional choices (context.region) for the target language
+    const machineTranslation = await this.integrations.translateWithMultipleProviders(
+      glossaryInput.text, fromLang, toLang, { placeholders: glossaryInput.placeholders }
+    );
+    const finish = candidate => {
+      const formalityAdjustment = this.adjustFormality(candidate, toLang, context);
+      return { formalityAdjustment, glossaryOutput: restoreGlossaryTerms(formalityAdjustment.text, glossaryInput.placeholders) };
+    };
+    const { formalityAdjustment, glossaryOutput } = finish(machineTranslation.translation);
+    
+    return {
+      translation: glossaryOutput.text,
+      provider: machineTranslation.provider,
+      // No hosted provider answered; the text may be untranslated
+      fallback: Boolean(machineTranslation.fallback),
+      glossary: { applied: glossaryOutput.applied, missing: glossaryOutput.missing },
+      confidence: machineTranslation.confidence,
+      alternatives: machineTranslation.alternatives.map(alternative => ({
+        ...alternative,
+        translation: finish(alternative.translation).glossaryOutput.text
+      })),
+      culturalNotes: this.generateCulturalNotes(toLanguage, context),
+      formality: formalityAdjustment.to || context.formality || 'neutral',
+      formalityChanges: formalityAdjustment.changes
+    };
+  }
+
+  // Points learners at the target language's address forms when they haven't picked one
+  generateCulturalNotes(toLanguage, context = {}) {
+    const notes = [];
+    const levels = (toLanguage.culturalContext || {}).formalityLevels || [];
+    if (levels.length > 1 && !context.formality) {
+      notes.push(`${toLanguage.name} distinguishes ${levels.join(', ')} when addressing someone; set context.formality to choose one`);
+    }
+    return notes;
+  }
+
+  // context.formality is 'formal', 'informal', 'neutral' or a level the
+  // target language names, e.g. 'vos'; context.region picks regional defaults
+  adjustFormality(text, toLang, context = {}) {
+    if (!context.formality || context.formality === 'neutral' || !this.languageDB.getLanguage(toLang)) {
+      return { text, to: null, changes: [] };
+    }
+    return this.formalityTransformer.convert(text, toLang, { to: context.formality, region: context.region });
+  }
+}
+
+// Text must be a non-empty string; context, when given, an object of
+// settings such as formality and region
+function checkTranslationInput(text, context) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw httpError(400, 'text is required');
+  }
+  checkTranslationContext(context);
+}
+
+function checkTranslationContext(context) {
+  if (context !== undefined && (context === null || typeof context !== 'object' || Array.isArray(context))) {
+    throw httpError(400, 'context must be an object');
+  }
+}
+
+// ===================================================================
+// 4.1 TRANSLATION CACHE
+// ===================================================================
+
+// Context fields that change a translation's output and so belong in its cache key
+const TRANSLATION_CONTEXT_KEY_FIELDS = ['formality', 'region', 'domain'];
+
+function translationCacheKey(text, fromLang, toLang, context = {}, glossaryScope = null) {
+  const normalizedText = String(text).normalize('NFC').trim().replace(/\s+/g, ' ');
+  const keyContext = TRANSLATION_CONTEXT_KEY_FIELDS.map(field => (context || {})[field] ?? null);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([fromLang, toLang, keyContext, glossaryScope, normalizedText]))
+    .digest('hex');
+}
+
+// Least-recently-used cache bounded by entry count and approximate JSON size,
+// with per-entry expiry and optional persistence to a JSON file
+class LRUCache {
+  constructor({ maxEntries = 10000, maxBytes = 64 * 1024 * 1024, ttlMs = 24 * 60 * 60 * 1000, persistPath = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.persistPath = persistPath;
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map();
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+    // save() only replaces a persisted cache this instance has read in
+    this.loaded = false;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.counters.misses += 1;
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      this.counters.expirations += 1;
+      this.counters.misses += 1;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.counters.hits += 1;
+    return entry.value;
+  }
+
+  set(key, value, { expiresAt = Date.now() + this.ttlMs } = {}) {
+    this.remove(key);
+
+    const size = Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value));
+    // An entry bigger than the whole budget would just evict everything else
+    if (size > this.maxBytes) return false;
+
+    this.entries.set(key, { value, size, expiresAt });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey);
+      this.counters.evictions += 1;
+    }
+    return true;
+  }
+
+  has(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && entry.expiresAt > Date.now();
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.bytes -= entry.size;
+    this.entries.delete(key);
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs,
+      ...this.counters,
+      hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(4)) : 0,
+      persistent: Boolean(this.persistPath)
+    };
+  }
+
+  async load() {
+    if (!this.persistPath) return 0;
+
+    let saved;
+    try {
+      saved = JSON.parse(await fs.readFile(this.persistPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.loaded = true;
+        return 0;
+      }
+      console.warn(`Ignoring unreadable cache file ${this.persistPath}: ${error.message}`);
+      return 0;
+    }
+
+    // Saved oldest first, so replaying restores recency order
+    const now = Date.now();
+    for (const { key, value, expiresAt } of saved) {
+      if (expiresAt > now) this.set(key, value, { expiresAt });
+    }
+    this.loaded = true;
+    return this.entries.size;
+  }
+
+  async save() {
+    if (!this.persistPath || !this.loaded) return;
+
+    const now = Date.now();
+    const saved = [];
+    for (const [key, { value, expiresAt }] of this.entries) {
+      if (expiresAt > now) saved.push({ key, value, expiresAt });
+    }
+
+    await fs.mkdir(path.dirname(this.persistPath), { recursive: true });
+    const tempPath = `${this.persistPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(saved));
+    await fs.rename(tempPath, this.persistPath);
+  }
+}
+
+// ===================================================================
+// 4.2 GLOSSARIES & TRANSLATION MEMORY
+// ===================================================================
+
+// Glossaries and memory segments belong to a user (ownerId) and may be shared
+// with a class (classId) by its teacher. Members of the class can read what's
+// shared with it; only the owner or an admin can change it.
+const GLOSSARY_FORMATS = ['csv', 'tbx'];
+const GLOSSARY_CSV_COLUMNS = ['source', 'target', 'partOfSpeech', 'notes'];
+const MEMORY_CSV_COLUMNS = ['source', 'target'];
+const DEFAULT_MEMORY_MIN_SCORE = 0.75;
+
+// A class is a teacher and the learners they have added to it
+class ClassRoster {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(user, { name }) {
+    if (user.role === 'learner') {
+      throw httpError(403, 'Only teachers can create classes');
+    }
+
+    const schoolClass = {
+      id: crypto.randomUUID(),
+      name: requireText(name, 'name'),
+      teacherId: user.id,
+      memberIds: [],
+      createdAt: new Date().toISOString()
+    };
+    await this.store.put('classes', schoolClass.id, schoolClass);
+    return schoolClass;
+  }
+
+  async get(user, classId, access = 'read') {
+    const schoolClass = typeof classId === 'string' ? await this.store.get('classes', classId) : null;
+    if (!schoolClass || !(user.role === 'admin' || isInClass(schoolClass, user.id))) {
+      throw httpError(404, 'Class not found');
+    }
+    if (access === 'write' && !canManageClass(user, schoolClass)) {
+      throw httpError(403, 'Only the class teacher can change this class');
+    }
+    return schoolClass;
+  }
+
+  async list(user) {
+    const classes = await this.store.list('classes');
+    return classes.filter(schoolClass => isInClass(schoolClass, user.id));
+  }
+
+  async addMember(user, classId, memberId) {
+    const schoolClass = await this.get(user, classId, 'write');
+    if (typeof memberId !== 'string' || !await this.store.get('users', memberId)) {
+      throw httpError(404, 'User not found');
+    }
+    if (!schoolClass.memberIds.includes(memberId)) schoolClass.memberIds.push(memberId);
+    await this.store.put('classes', schoolClass.id, schoolClass);
+    return schoolClass;
+  }
+
+  async removeMember(user, classId, memberId) {
+    const schoolClass = await this.get(user, classId, 'write');
+    schoolClass.memberIds = schoolClass.memberIds.filter(id => id !== memberId);
+    await this.store.put('classes', schoolClass.id, schoolClass);
+    return schoolClass;
+  }
+
+  // Glossary and memory lookups only run for classes the user belongs to
+  async requireMember(userId, classId) {
+    const schoolClass = typeof classId === 'string' ? await this.store.get('classes', classId) : null;
+    if (!schoolClass || !isInClass(schoolClass, userId)) {
+      throw httpError(403, 'Not a member of this class');
+    }
+  }
+
+  // Sharing with a class is up to its teacher
+  async requireManager(user, classId) {
+    const schoolClass = typeof classId === 'string' ? await this.store.get('classes', classId) : null;
+    if (!schoolClass || !canManageClass(user, schoolClass)) {
+      throw httpError(403, 'Only the class teacher can share with this class');
+    }
+  }
+
+  // Whether a learner is in any class this teacher runs
+  async teaches(teacherId, learnerId) {
+    const classes = await this.store.list('classes');
+    return classes.some(schoolClass => schoolClass.teacherId === teacherId && schoolClass.memberIds.includes(learnerId));
+  }
+
+  async isMember(userId, classId) {
+    const schoolClass = await this.store.get('classes', classId);
+    return Boolean(schoolClass) && isInClass(schoolClass, userId);
+  }
+}
+
+function isInClass(schoolClass, userId) {
+  return schoolClass.teacherId === userId || schoolClass.memberIds.includes(userId);
+}
+
+function canManageClass(user, schoolClass) {
+  return schoolClass.teacherId === user.id || user.role === 'admin';
+}
+
+async function canReadTranslationResource(user, resource, classes) {
+  if (await canAccessUser(user, resource.ownerId, 'read', classes)) return true;
+  return Boolean(resource.classId) && await classes.isMember(user.id, resource.classId);
+}
+
+function canWriteTranslationResource(user, resource) {
+  return user.id === resource.ownerId || user.role === 'admin';
+}
+
+// Ids of a collection's glossaries or segments by scope (their owner and the
+// class they are shared with) and language pair, so a lookup reads only the
+// caller's entries rather than the whole collection. Built on first use.
+class TranslationResourceIndex {
+  constructor(store, collection) {
+    this.store = store;
+    this.collection = collection;
+    this.scopes = null;
+    this.building = null;
+  }
+
+  async ready() {
+    if (this.scopes) return;
+    this.building = this.building || this.store.list(this.collection).then(resources => {
+      this.scopes = new Map();
+      for (const resource of resources) this.add(resource);
+    });
+    await this.building;
+  }
+
+  scopeKeys(resource) {
+    const keys = [`user:${resource.ownerId}`];
+    if (resource.classId) keys.push(`class:${resource.classId}`);
+    return keys;
+  }
+
+  add(resource) {
+    const pair = `${resource.fromLang}|${resource.toLang}`;
+    for (const scope of this.scopeKeys(resource)) {
+      if (!this.scopes.has(scope)) this.scopes.set(scope, new Map());
+      const pairs = this.scopes.get(scope);
+      if (!pairs.has(pair)) pairs.set(pair, new Set());
+      pairs.get(pair).add(resource.id);
+    }
+  }
+
+  remove(resource) {
+    const pair = `${resource.fromLang}|${resource.toLang}`;
+    for (const scope of this.scopeKeys(resource)) {
+      this.scopes.get(scope)?.get(pair)?.delete(resource.id);
+    }
+  }
+
+  // Ids visible to userId (and classId), optionally for one language pair
+  async ids({ userId, classId = null }, fromLang = null, toLang = null) {
+    await this.ready();
+    const scopes = [`user:${userId}`];
+    if (classId) scopes.push(`class:${classId}`);
+
+    const ids = new Set();
+    for (const scope of scopes) {
+      for (const [pair, pairIds] of this.scopes.get(scope) || []) {
+        const [from, to] = pair.split('|');
+        if (fromLang && from !== String(fromLang).toLowerCase()) continue;
+        if (toLang && to !== String(toLang).toLowerCase()) continue;
+        for (const id of pairIds) ids.add(id);
+      }
+    }
+    return Array.from(ids);
+  }
+
+  async load(ids) {
+    const resources = await Promise.all(ids.map(id => this.store.get(this.collection, id)));
+    return resources.filter(Boolean);
+  }
+}
+
+function normalizeSegment(text) {
+  return String(text).normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+function requireText(value, field) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw httpError(400, `${field} is required`);
+  }
+  return normalizeSegment(value);
+}
+
+class GlossaryService {
+  constructor(store, classes = new ClassRoster(store)) {
+    this.store = store;
+    this.classes = classes;
+    this.index = new TranslationResourceIndex(store, 'glossaries');
+  }
+
+  async create(user, { name, fromLang, toLang, classId = null, entries = [] }) {
+    if (classId) await this.classes.requireManager(user, classId);
+
+    const now = new Date().toISOString();
+    const glossary = {
+      id: crypto.randomUUID(),
+      name: requireText(name, 'name'),
+      fromLang: requireText(fromLang, 'fromLang').toLowerCase(),
+      toLang: requireText(toLang, 'toLang').toLowerCase(),
+      ownerId: user.id,
+      classId,
+      entries: this.buildEntries(entries),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.index.ready();
+    await this.store.put('glossaries', glossary.id, glossary);
+    this.index.add(glossary);
+    return glossary;
+  }
+
+  buildEntries(entries) {
+    if (!Array.isArray(entries)) {
+      throw httpError(400, 'entries must be an array');
+    }
+    return entries.map(entry => this.buildEntry(entry || {}));
+  }
+
+  buildEntry({ source, target, partOfSpeech = null, notes = null }) {
+    return {
+      id: crypto.randomUUID(),
+      source: requireText(source, 'source'),
+      target: requireText(target, 'target'),
+      partOfSpeech: partOfSpeech || null,
+      notes: notes || null
+    };
+  }
+
+  async get(user, glossaryId, access = 'read') {
+    const glossary = await this.store.get('glossaries', glossaryId);
+    if (!glossary || !await canReadTranslationResource(user, glossary, this.classes)) {
+      throw httpError(404, 'Glossary not found');
+    }
+    if (access === 'write' && !canWriteTranslationResource(user, glossary)) {
+      throw httpError(403, 'Not allowed to change this glossary');
+    }
+    return glossary;
+  }
+
+  async list(user, { classId = null } = {}) {
+    if (classId) await this.classes.requireMember(user.id, classId);
+    const glossaries = await this.index.load(await this.index.ids({ userId: user.id, classId }));
+    return glossaries.map(({ entries, ...summary }) => ({ ...summary, entryCount: entries.length }));
+  }
+
+  async update(user, glossaryId, { name, fromLang, toLang, entries }) {
+    const glossary = await this.get(user, glossaryId, 'write');
+    const previous = { ...glossary };
+    if (name !== undefined) glossary.name = requireText(name, 'name');
+    if (fromLang !== undefined) glossary.fromLang = requireText(fromLang, 'fromLang').toLowerCase();
+    if (toLang !== undefined) glossary.toLang = requireText(toLang, 'toLang').toLowerCase();
+    if (entries !== undefined) glossary.entries = this.buildEntries(entries);
+
+    await this.index.ready();
+    this.index.remove(previous);
+    this.index.add(glossary);
+    return this.save(glossary);
+  }
+
+  async remove(user, glossaryId) {
+    const glossary = await this.get(user, glossaryId, 'write');
+    await this.index.ready();
+    await this.store.delete('glossaries', glossaryId);
+    this.index.remove(glossary);
+  }
+
+  async addEntries(user, glossaryId, entries) {
+    const glossary = await this.get(user, glossaryId, 'write');
+    // Re-adding a source term replaces the old entry instead of duplicating it
+    for (const entry of this.buildEntries(entries)) {
+      const key = entry.source.toLowerCase();
+      glossary.entries = glossary.entries.filter(existing => existing.source.toLowerCase() !== key);
+      glossary.entries.push(entry);
+    }
+    return this.save(glossary);
+  }
+
+  async updateEntry(user, glossaryId, entryId, changes) {
+    const glossary = await this.get(user, glossaryId, 'write');
+    const index = glossary.entries.findIndex(entry => entry.id === entryId);
+    if (index === -1) {
+      throw httpError(404, 'Glossary entry not found');
+    }
+    glossary.entries[index] = { ...this.buildEntry({ ...glossary.entries[index], ...changes }), id: entryId };
+    return this.save(glossary);
+  }
+
+  async removeEntry(user, glossaryId, entryId) {
+    const glossary = await this.get(user, glossaryId, 'write');
+    const remaining = glossary.entries.filter(entry => entry.id !== entryId);
+    if (remaining.length === glossary.entries.length) {
+      throw httpError(404, 'Glossary entry not found');
+    }
+    glossary.entries = remaining;
+    return this.save(glossary);
+  }
+
+  async save(glossary) {
+    glossary.updatedAt = new Date().toISOString();
+    await this.store.put('glossaries', glossary.id, glossary);
+    return glossary;
+  }
+
+  async importEntries(user, glossaryId, { format, content }) {
+    const glossary = await this.get(user, glossaryId, 'read');
+    const entries = format === 'tbx'
+      ? parseTbx(content, glossary.fromLang, glossary.toLang)
+      : parseCsvRecords(content, GLOSSARY_CSV_COLUMNS);
+    return this.addEntries(user, glossaryId, entries);
+  }
+
+  async exportEntries(user, glossaryId, format) {
+    const glossary = await this.get(user, glossaryId, 'read');
+    return format === 'tbx'
+      ? toTbx(glossary.entries, glossary.fromLang, glossary.toLang, glossary.name)
+      : toCsv(glossary.entries, GLOSSARY_CSV_COLUMNS);
+  }
+
+  // Terms enforced for a translation. Class terms win over personal ones so a
+  // teacher's required vocabulary holds for everyone in the class.
+  async termsFor({ userId, classId = null }, fromLang, toLang) {
+    if (!fromLang || !toLang) return [];
+    if (classId) await this.classes.requireMember(userId, classId);
+
+    const glossaries = await this.index.load(await this.index.ids({ userId, classId }, fromLang, toLang));
+    const isClassGlossary = glossary => Boolean(classId) && glossary.classId === classId;
+    glossaries.sort((a, b) => Number(isClassGlossary(b)) - Number(isClassGlossary(a)));
+
+    const terms = new Map();
+    for (const glossary of glossaries) {
+      for (const entry of glossary.entries) {
+        const key = entry.source.toLowerCase();
+        if (!terms.has(key)) terms.set(key, entry);
+      }
+    }
+    return Array.from(terms.values());
+  }
+}
+
+class TranslationMemory {
+  constructor(store, classes = new ClassRoster(store)) {
+    this.store = store;
+    this.classes = classes;
+    this.index = new TranslationResourceIndex(store, 'translationMemory');
+  }
+
+  async add(user, { source, target, fromLang, toLang, classId = null }) {
+    if (classId) await this.classes.requireManager(user, classId);
+
+    const now = new Date().toISOString();
+    const segment = {
+      id: crypto.randomUUID(),
+      source: requireText(source, 'source'),
+      target: requireText(target, 'target'),
+      fromLang: requireText(fromLang, 'fromLang').toLowerCase(),
+      toLang: requireText(toLang, 'toLang').toLowerCase(),
+      ownerId: user.id,
+      classId,
+      uses: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.index.ready();
+    await this.store.put('translationMemory', segment.id, segment);
+    this.index.add(segment);
+    return segment;
+  }
+
+  async get(user, segmentId, access = 'read') {
+    const segment = await this.store.get('translationMemory', segmentId);
+    if (!segment || !await canReadTranslationResource(user, segment, this.classes)) {
+      throw httpError(404, 'Translation memory segment not found');
+    }
+    if (access === 'write' && !canWriteTranslationResource(user, segment)) {
+      throw httpError(403, 'Not allowed to change this segment');
+    }
+    return segment;
+  }
+
+  async list(user, { fromLang, toLang, classId = null } = {}) {
+    return this.segmentsFor({ userId: user.id, classId }, fromLang, toLang);
+  }
+
+  async segmentsFor({ userId, classId = null }, fromLang, toLang) {
+    if (classId) await this.classes.requireMember(userId, classId);
+    return this.index.load(await this.index.ids({ userId, classId }, fromLang, toLang));
+  }
+
+  async update(user, segmentId, { source, target }) {
+    const segment = await this.get(user, segmentId, 'write');
+    if (source !== undefined) segment.source = requireText(source, 'source');
+    if (target !== undefined) segment.target = requireText(target, 'target');
+    segment.updatedAt = new Date().toISOString();
+    await this.store.put('translationMemory', segment.id, segment);
+    return segment;
+  }
+
+  async remove(user, segmentId) {
+    const segment = await this.get(user, segmentId, 'write');
+    await this.index.ready();
+    await this.store.delete('translationMemory', segmentId);
+    this.index.remove(segment);
+  }
+
+  async importSegments(user, { format, content, fromLang, toLang, classId = null }) {
+    const records = format === 'tbx'
+      ? parseTbx(content, fromLang, toLang)
+      : parseCsvRecords(content, MEMORY_CSV_COLUMNS);
+
+    const segments = [];
+    for (const record of records) {
+      segments.push(await this.add(user, { ...record, fromLang, toLang, classId }));
+    }
+    return segments;
+  }
+
+  async exportSegments(user, { format, fromLang, toLang, classId = null }) {
+    const segments = await this.list(user, { fromLang, toLang, classId });
+    return format === 'tbx'
+      ? toTbx(segments, fromLang, toLang, 'Translation memory')
+      : toCsv(segments, MEMORY_CSV_COLUMNS);
+  }
+
+  // Fuzzy matches at or above minScore, best first; a score of 1 is an exact match
+  async lookup(text, fromLang, toLang, { userId, classId = null, minScore = DEFAULT_MEMORY_MIN_SCORE, limit = 3 } = {}) {
+    const query = normalizeSegment(text).toLowerCase();
+    const segments = await this.segmentsFor({ userId, classId }, fromLang, toLang);
+
+    const matches = [];
+    for (const segment of segments) {
+      const score = segmentSimilarity(query, segment.source.toLowerCase(), minScore);
+      if (score >= minScore) {
+        matches.push({ segmentId: segment.id, source: segment.source, target: segment.target, score });
+      }
+    }
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  async recordUse(segmentId) {
+    const segment = await this.store.get('translationMemory', segmentId);
+    if (!segment) return;
+    segment.uses += 1;
+    await this.store.put('translationMemory', segment.id, segment);
+  }
+}
+
+// 1 - normalized Levenshtein distance. The length ratio bounds the best
+// possible score, so clearly different segments skip the full comparison.
+function segmentSimilarity(a, b, minScore = 0) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0 || Math.min(a.length, b.length) / longest < minScore) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  return Number((1 - previous[b.length] / longest).toFixed(4));
+}
+
+// Glossary sources are swapped for placeholders before translation so nothing
+// downstream can rewrite them, then the placeholders become the required targets
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function protectGlossaryTerms(text, terms) {
+  if (terms.length === 0) return { text, placeholders: [] };
+
+  const sources = terms.map(term => term.source).sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(
+    `${UNICODE_WORD_BOUNDARY}(${sources.map(escapeRegExp).join('|')})${UNICODE_WORD_BOUNDARY}`,
+    'giu'
+  );
+  const bySource = new Map(terms.map(term => [term.source.toLowerCase(), term]));
+
+  const placeholders = [];
+  const protectedText = text.replace(pattern, match => {
+    const token = `⟦${placeholders.length}⟧`;
+    placeholders.push({ token, original: match, term: bySource.get(match.toLowerCase()) });
+    return token;
+  });
+  return { text: protectedText, placeholders };
+}
+
+function restoreGlossaryTerms(text, placeholders) {
+  const applied = [];
+  const missing = [];
+  let restored = text;
+
+  for (const { token, original, term } of placeholders) {
+    if (!restored.includes(token)) {
+      missing.push({ source: term.source, target: term.target });
+      continue;
+    }
+    restored = restored.split(token).join(matchCase(original, term.target));
+    applied.push({
+      source: term.source,
+      target: term.target,
+      partOfSpeech: term.partOfSpeech,
+      notes: term.notes
+    });
+  }
+  return { text: restored, applied, missing };
+}
+
+// Changing any enforced term must miss the cache, so its key covers the terms
+function glossaryDigest(terms) {
+  if (terms.length === 0) return null;
+  const pairs = terms.map(term => [term.source.toLowerCase(), term.target]).sort();
+  return crypto.createHash('sha1').update(JSON.stringify(pairs)).digest('hex');
+}
+
+function translationFileFormat(format = 'csv') {
+  const normalized = String(format).toLowerCase();
+  if (!GLOSSARY_FORMATS.includes(normalized)) {
+    throw httpError(400, `format must be one of: ${GLOSSARY_FORMATS.join(', ')}`);
+  }
+  return normalized;
+}
+
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+// The header row names the columns; rows without source and target are skipped
+function parseCsvRecords(content, columns) {
+  const [header = [], ...rows] = parseCsv(String(content || '').replace(/^\uFEFF/, ''));
+  const names = header.map(name => name.trim());
+  if (!names.includes('source') || !names.includes('target')) {
+    throw httpError(400, `CSV header must include ${columns.join(', ')}`);
+  }
+
+  return rows
+    .map(fields => Object.fromEntries(
+      columns.map(column => [column, (fields[names.indexOf(column)] || '').trim() || null])
+    ))
+    .filter(record => record.source && record.target);
+}
+
+function toCsv(records, columns) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(fields => fields.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// TBX-Basic export: one concept per entry with a language section per side
+function toTbx(records, fromLang, toLang, title) {
+  const concepts = records.map((record, index) => {
+    const partOfSpeech = record.partOfSpeech
+      ? `<termNote type="partOfSpeech">${escapeXml(record.partOfSpeech)}</termNote>`
+      : '';
+    const note = record.notes ? `\n      <note>${escapeXml(record.notes)}</note>` : '';
+    return [
+      `    <conceptEntry id="c${index + 1}">${note}`,
+      `      <langSec xml:lang="${escapeXml(fromLang)}"><termSec><term>${escapeXml(record.source)}</term>${partOfSpeech}</termSec></langSec>`,
+      `      <langSec xml:lang="${escapeXml(toLang)}"><termSec><term>${escapeXml(record.target)}</term>${partOfSpeech}</termSec></langSec>`,
+      '    </conceptEntry>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tbx type="TBX-Basic" style="dca" xml:lang="en" xmlns="urn:iso:std:iso:30042:ed-2">',
+    `  <tbxHeader><fileDesc><sourceDesc><p>${escapeXml(title)}</p></sourceDesc></fileDesc></tbxHeader>`,
+    '  <text><body>',
+    ...concepts,
+    '  </body></text>',
+    '</tbx>',
+    ''
+  ].join('\n');
+}
+
+// Reads TBX v3 (conceptEntry/langSec/termSec) and v2 (termEntry/langSet/tig).
+// Language sections are matched on xml:lang; otherwise the first two are
+// taken as source and target.
+function parseTbx(content, fromLang, toLang) {
+  const xml = String(content || '');
+  if (!/<tbx[\s>]/i.test(xml) && !/<martif[\s>]/i.test(xml)) {
+    throw httpError(400, 'Not a TBX document');
+  }
+
+  const firstText = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+    return match ? unescapeXml(match[1]).trim() : null;
+  };
+  const termNote = (block, type) => {
+    const match = block.match(new RegExp(`<(?:termNote|descrip)\\b[^>]*type="${type}"[^>]*>([\\s\\S]*?)</(?:termNote|descrip)>`));
+    return match ? unescapeXml(match[1]).trim() : null;
+  };
+
+  const records = [];
+  const conceptPattern = /<(conceptEntry|termEntry)\b[^>]*>([\s\S]*?)<\/\1>/g;
+  for (const [, , concept] of xml.matchAll(conceptPattern)) {
+    const sections = Array.from(
+      concept.matchAll(/<(langSec|langSet)\b[^>]*xml:lang="([^"]*)"[^>]*>([\s\S]*?)<\/\1>/g),
+      ([, , lang, body]) => ({ lang: lang.toLowerCase(), body })
+    );
+    if (sections.length < 2) continue;
+
+    const sourceSection = sections.find(section => section.lang === String(fromLang).toLowerCase()) || sections[0];
+    const targetSection = sections.find(section => section.lang === String(toLang).toLowerCase() && section !== sourceSection) ||
+      sections.find(section => section !== sourceSection);
+
+    const source = firstText(sourceSection.body, 'term');
+    const target = firstText(targetSection.body, 'term');
+    if (!source || !target) continue;
+
+    records.push({
+      source,
+      target,
+      partOfSpeech: termNote(sourceSection.body, 'partOfSpeech') || termNote(targetSection.body, 'partOfSpeech'),
+      notes: firstText(concept.replace(/<(langSec|langSet)\b[\s\S]*?<\/\1>/g, ''), 'note') ||
+        termNote(concept, 'definition')
+    });
+  }
+  return records;
+}
+
+// ===================================================================
+// 4.3 FORMALITY TRANSFORMATION
+// ===================================================================
+
+// Rewrites text between the ways of saying "you" that a language pack lists
+// in culturalContext.formalityLevels (tú / usted / vos for Spanish). The word
+// forms come from the pack's `formality` block.
+class FormalityTransformer {
+  constructor(languageDB) {
+    this.languageDB = languageDB;
+    // Language code -> { packVersion, rules }; a pack reload changes the version
+    this.compiled = new Map();
+  }
+
+  getRules(languageCode) {
+    const language = this.languageDB.getLanguage(languageCode || '');
+    if (!language) {
+      throw httpError(404, `Unknown language: ${languageCode}`);
+    }
+    if (!language.formality) return null;
+
+    const code = languageCode.toLowerCase();
+    const cached = this.compiled.get(code);
+    if (cached && cached.packVersion === language.packVersion) return cached.rules;
+
+    const rules = compileFormalityRules(language);
+    this.compiled.set(code, { packVersion: language.packVersion, rules });
+    return rules;
+  }
+
+  // Accepts a level name ('vos') or a register ('formal'/'informal'); a region
+  // can override the default level for a register, e.g. voseo in Argentina
+  resolveLevel(rules, requested, region = null) {
+    if (!requested) return null;
+    const wanted = String(requested).toLowerCase();
+    if (rules.levels.includes(wanted)) return wanted;
+
+    // Own keys only: 'constructor' is not a register
+    const own = (object, key) => (object && Object.prototype.hasOwnProperty.call(object, key) ? object[key] : null);
+    const regional = region ? own(rules.regionDefaults, String(region).toLowerCase()) : null;
+    const level = own(regional, wanted) || own(rules.defaults, wanted);
+    return rules.levels.includes(level) ? level : null;
+  }
+
+  convert(text, languageCode, { to, from = null, region = null } = {}) {
+    if (typeof text !== 'string') {
+      throw httpError(400, 'text is required');
+    }
+
+    const rules = this.getRules(languageCode);
+    const result = { text, original: text, from: null, to: null, changes: [], warnings: [], explanation: '' };
+    if (!rules) {
+      result.explanation = `No formality rules are available for ${languageCode}`;
+      return result;
+    }
+    if (to === 'neutral') {
+      result.explanation = 'Neutral formality leaves the text unchanged';
+      return result;
+    }
+
+    const target = this.resolveLevel(rules, to, region);
+    if (!target) {
+      throw httpError(400, `Unknown formality level: ${to}. Use formal, informal or one of: ${rules.levels.join(', ')}`);
+    }
+
+    let sources = rules.levels.filter(level => level !== target);
+    if (from) {
+      const source = this.resolveLevel(rules, from, region);
+      if (!source) {
+        throw httpError(400, `Unknown formality level: ${from}`);
+      }
+      sources = [source];
+    }
+
+    // Without an explicit source level, use whichever one the text speaks in
+    let best = null;
+    for (const source of sources) {
+      const attempt = rewriteFormality(text, rules, source, target);
+      if (!best || attempt.changes.length > best.changes.length) best = attempt;
+    }
+
+    return { ...result, ...best, original: text, explanation: describeFormalityChange(rules, best) };
+  }
+}
+
+function compileFormalityRules(language) {
+  const { formality, culturalContext = {} } = language;
+  const levels = (culturalContext.formalityLevels || Object.keys(formality.registers))
+    .filter(level => formality.registers[level]);
+
+  // Regular verbs expand into one entry per tense from the conjugation endings
+  const verbEntries = [];
+  for (const infinitive of formality.regularVerbs || []) {
+    const endings = (formality.conjugations || {})[infinitive.slice(-2)] || [];
+    const stem = infinitive.slice(0, -2);
+    for (const ending of endings) {
+      const base = ending.base === 'infinitive' ? infinitive : stem;
+      const entry = { category: 'verb', lemma: infinitive, tense: ending.tense };
+      for (const level of levels) entry[level] = base + ending[level];
+      verbEntries.push(entry);
+    }
+  }
+
+  // Level -> surface form -> candidate entries, in the order the pack lists them
+  const lookup = {};
+  for (const level of levels) {
+    lookup[level] = new Map();
+    const add = (form, candidate) => {
+      if (!form) return;
+      const key = form.toLowerCase();
+      if (!lookup[level].has(key)) lookup[level].set(key, []);
+      lookup[level].get(key).push(candidate);
+    };
+    for (const entry of [...formality.forms, ...verbEntries]) {
+      add(entry[level], { entry, reflexive: false });
+      if (entry.reflexive) add(entry.reflexive[level], { entry, reflexive: true });
+    }
+  }
+
+  return {
+    levels,
+    registers: formality.registers,
+    defaults: formality.defaults || {},
+    regionDefaults: formality.regionDefaults || {},
+    lookup
+  };
+}
+
+function rewriteFormality(text, rules, source, target) {
+  const register = rules.registers[source];
+  const lookup = rules.lookup[source];
+  const pronoun = register.pronoun.toLowerCase();
+
+  // Words with the sentence they sit in, so forms can be judged in context
+  const tokens = [];
+  let sentence = 0;
+  let lastEnd = 0;
+  for (const match of text.matchAll(/\p{L}+/gu)) {
+    sentence += (text.slice(lastEnd, match.index).match(/[.!?]+/g) || []).length;
+    tokens.push({ word: match[0], lower: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length, sentence });
+    lastEnd = match.index + match[0].length;
+  }
+  const addressedSentences = new Set(tokens.filter(token => token.lower === pronoun).map(token => token.sentence));
+
+  // Third-person levels like usted share verb forms with él/ella, so a verb
+  // only counts when the pronoun sits right next to it
+  const verbAllowedAt = index => {
+    if (!register.thirdPerson) return true;
+    return [index - 3, index - 2, index - 1, index + 1]
+      .map(position => tokens[position])
+      .some(token => token && token.lower === pronoun && token.sentence === tokens[index].sentence);
+  };
+  const isVerbAt = index => Boolean(tokens[index]) && verbAllowedAt(index) &&
+    (lookup.get(tokens[index].lower) || []).some(candidate => candidate.entry.category === 'verb');
+
+  const changes = [];
+  let skippedUnaddressed = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    // Two-word forms like "con usted" take priority over their parts
+    const next = tokens[i + 1];
+    const phrase = next && /^\s+$/.test(text.slice(tokens[i].end, next.start))
+      ? `${tokens[i].lower} ${next.lower}`
+      : null;
+    const span = phrase && lookup.has(phrase) ? 2 : 1;
+    const candidates = lookup.get(span === 2 ? phrase : tokens[i].lower);
+    if (!candidates) continue;
+
+    const previous = tokens[i - 1] ? tokens[i - 1].lower : null;
+    const following = tokens[i + span] ? tokens[i + span].lower : null;
+    const isPronoun = (span === 2 ? phrase : tokens[i].lower).split(' ').includes(pronoun);
+    const usable = candidates.filter(({ entry, reflexive }) => {
+      if (entry.after && !entry.after.includes(previous)) return false;
+      if (entry.before && !entry.before.includes(following)) return false;
+      if (reflexive && !isVerbAt(i + span)) return false;
+      if (entry.category === 'verb') return verbAllowedAt(i);
+      return !register.thirdPerson || isPronoun || addressedSentences.has(tokens[i].sentence);
+    });
+    // Forms tied to a neighbouring word or a following verb beat the general ones
+    const tied = ({ entry }) => Number(Boolean(entry.after || entry.before));
+    usable.sort((a, b) => tied(b) - tied(a) || Number(b.reflexive) - Number(a.reflexive));
+
+    const choice = usable[0];
+    if (!choice) {
+      if (register.thirdPerson) skippedUnaddressed = true;
+      continue;
+    }
+
+    const forms = choice.reflexive ? choice.entry.reflexive : choice.entry;
+    const start = tokens[i].start;
+    const end = tokens[i + span - 1].end;
+    const original = text.slice(start, end);
+    if (!forms[target] || forms[target].toLowerCase() === original.toLowerCase()) {
+      i += span - 1;
+      continue;
+    }
+
+    const replacement = matchCase(original, forms[target]);
+    changes.push({
+      original,
+      replacement,
+      start,
+      end,
+      category: choice.reflexive ? 'reflexive pronoun' : choice.entry.category,
+      lemma: choice.entry.lemma || null,
+      tense: choice.entry.tense || null,
+      ambiguous: Boolean(register.thirdPerson) && !isPronoun && choice.entry.category !== 'verb',
+      explanation: explainFormalityChange(original, replacement, choice, target)
+    });
+    i += span - 1;
+  }
+
+  let rewritten = text;
+  for (const change of [...changes].reverse()) {
+    rewritten = rewritten.slice(0, change.start) + change.replacement + rewritten.slice(change.end);
+  }
+
+  const warnings = [];
+  const ambiguous = changes.filter(change => change.ambiguous).map(change => `'${change.original}'`);
+  if (ambiguous.length > 0) {
+    warnings.push(`${ambiguous.join(', ')} can also refer to someone else; they were changed because the sentence addresses ${register.pronoun}`);
+  }
+  if (skippedUnaddressed) {
+    warnings.push(`Some forms could refer to someone other than the person addressed as ${register.pronoun} and were left unchanged`);
+  }
+
+  return { text: rewritten, from: source, to: target, changes, warnings };
+}
+
+function explainFormalityChange(original, replacement, { entry, reflexive }, target) {
+  const what = entry.category === 'verb'
+    ? `${entry.tense} of ${entry.lemma}`
+    : (reflexive ? 'reflexive pronoun' : entry.category);
+  const note = entry.note && !reflexive ? ` (${entry.note})` : '';
+  return `${original} → ${replacement}: ${what} for ${target}${note}`;
+}
+
+function describeFormalityChange(rules, { from, to, changes }) {
+  const describe = level => `${level} (${rules.registers[level].description})`;
+  if (changes.length === 0) {
+    return `Found nothing to change for ${describe(to)}`;
+  }
+  const noun = changes.length === 1 ? 'form' : 'forms';
+  return `Rewrote ${changes.length} ${noun} from ${describe(from)} to ${describe(to)}`;
+}
+
+// ===================================================================
+// 4.4 BATCH & SUBTITLE TRANSLATION
+// ===================================================================
+
+const MAX_BATCH_SEGMENTS = 500;
+const MAX_SUBTITLE_CUES = 5000;
+const BATCH_CONCURRENCY = 4;
+// Progress callbacks fire at most this often, plus once at the end
+const BATCH_PROGRESS_INTERVAL_MS = 250;
+
+const SUBTITLE_CONTENT_TYPES = {
+  srt: 'application/x-subrip',
+  vtt: 'text/vtt'
+};
+
+// Translates segments in order with bounded concurrency. Repeated segments are
+// translated once, and every segment goes through translateText, so the
+// translation cache is shared with single-string requests. One failing segment
+// doesn't fail the batch; its result carries the error instead.
+async function translateSegments(translator, segments, { fromLang, toLang, context = {}, scope = {}, onProgress = null, concurrency = BATCH_CONCURRENCY }) {
+  const results = new Array(segments.length);
+  const pending = new Map();
+  let completed = 0;
+  let failed = 0;
+  let lastReport = 0;
+
+  const report = (force = false) => {
+    if (!onProgress) return;
+    const now = Date.now();
+    if (!force && now - lastReport < BATCH_PROGRESS_INTERVAL_MS) return;
+    lastReport = now;
+    onProgress({ completed, failed, total: segments.length });
+  };
+
+  const translateOne = text => {
+    const key = normalizeSegment(text);
+    if (!pending.has(key)) {
+      pending.set(key, translator.translateText(text, fromLang, toLang, context, scope));
+    }
+    return pending.get(key);
+  };
+
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < segments.length) {
+      const index = nextIndex++;
+      const text = segments[index];
+      try {
+        if (typeof text !== 'string' || !text.trim()) {
+          results[index] = { index, text, translation: text || '', confidence: null };
+        } else {
+          const translation = await translateOne(text);
+          results[index] = { index, text, ...translation };
+        }
+      } catch (error) {
+        failed += 1;
+        results[index] = { index, text, translation: null, error: error.message };
+      }
+      completed += 1;
+      report();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, segments.length) }, worker));
+  report(true);
+  return { results, total: segments.length, translated: completed - failed, failed };
+}
+
+// Cues keep their timing line verbatim; anything that isn't a cue (the WebVTT
+// header, NOTE/STYLE/REGION blocks) is carried through untouched
+function parseSubtitles(content, format = null) {
+  const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const detected = format || (/^WEBVTT/.test(text) ? 'vtt' : 'srt');
+  if (!Object.prototype.hasOwnProperty.call(SUBTITLE_CONTENT_TYPES, detected)) {
+    throw httpError(400, `format must be one of: ${Object.keys(SUBTITLE_CONTENT_TYPES).join(', ')}`);
+  }
+
+  const blocks = text.split(/\n{2,}/).map(block => block.replace(/^\n+|\n+$/g, '')).filter(Boolean);
+  const items = [];
+  for (const [position, block] of blocks.entries()) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    const isHeader = detected === 'vtt' && position === 0 && /^WEBVTT/.test(lines[0]);
+    if (isHeader || timingIndex === -1 || timingIndex > 1) {
+      items.push({ type: 'block', raw: block });
+      continue;
+    }
+
+    items.push({
+      type: 'cue',
+      id: timingIndex === 1 ? lines[0] : null,
+      timing: lines[timingIndex],
+      lines: lines.slice(timingIndex + 1)
+    });
+  }
+
+  const cues = items.filter(item => item.type === 'cue');
+  if (cues.length === 0) {
+    throw httpError(400, 'No subtitle cues found');
+  }
+  if (detected === 'vtt' && !(items[0].type === 'block' && /^WEBVTT/.test(items[0].raw))) {
+    throw httpError(400, 'WebVTT files must start with WEBVTT');
+  }
+  return { format: detected, items, cues };
+}
+
+// Translation text drops markup like <i> and {\an8}; the original lines keep it
+function subtitleCueText(cue) {
+  return cue.lines
+    .join(' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Bilingual output: each cue keeps its original lines with the translation below
+function serializeSubtitles({ format, items }, translations) {
+  let cueNumber = 0;
+  const blocks = items.map(item => {
+    if (item.type === 'block') return item.raw;
+
+    const translation = translations[cueNumber++];
+    const lines = translation ? [...item.lines, translation] : item.lines;
+    const id = format === 'srt' ? String(cueNumber) : item.id;
+    return [id, item.timing, ...lines].filter(line => line !== null).join('\n');
+  });
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// ===================================================================
+// 5. USER PROGRESS TRACKING & ANALYTICS
+// ===================================================================
+
+// Study session reports from POST /api/progress/:userId. Checked up front
+// so a bad field can't leave the profile half updated.
+function validateSessionData(sessionData) {
+  if (!sessionData || typeof sessionData !== 'object' || Array.isArray(sessionData)) {
+    throw httpError(400, 'The session report must be a JSON object');
+  }
+  for (const field of ['duration', 'conversationTurns']) {
+    const value = sessionData[field];
+    if (value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+      throw httpError(400, `${field} must be a non-negative number`);
+    }
+  }
+  for (const field of ['newVocabulary', 'reviewedItems']) {
+    if (sessionData[field] !== undefined && !Array.isArray(sessionData[field])) {
+      throw httpError(400, `${field} must be an array`);
+    }
+  }
+  for (const entry of sessionData.newVocabulary || []) {
+    const id = typeof entry === 'string' ? entry : entry && entry.id;
+    if (typeof id !== 'string' || !id) {
+      throw httpError(400, 'Each newVocabulary entry must be a word id or an object with an id');
+    }
+  }
+  for (const item of sessionData.reviewedItems || []) {
+    if (!item || typeof item.id !== 'string' || !item.id) {
+      throw httpError(400, 'Each reviewedItems entry needs an id');
+    }
+    if (!Number.isInteger(item.performance) || item.performance < 0 || item.performance > 5) {
+      throw httpError(400, `performance for ${item.id} must be an integer from 0 to 5`);
+    }
+  }
+}
+
+class ProgressTrackingSystem {
+  constructor(store = new MemoryStorageAdapter(), schedulers = REVIEW_SCHEDULERS) {
+    // Profiles, analytics and achievements all live in the storage adapter
+    this.store = store;
+    this.schedulers = schedulers;
+    // Tail of each user's chain of profile updates
+    this.profileLocks = new Map();
+  }
+
+  // Profile updates are read-modify-write, so they run one at a time per user
+  withProfileLock(userId, update) {
+    const previous = this.profileLocks.get(userId) || Promise.resolve();
+    const result = previous.then(update);
+    const tail = result.catch(() => {});
+    this.profileLocks.set(userId, tail);
+    tail.then(() => {
+      if (this.profileLocks.get(userId) === tail) this.profileLocks.delete(userId);
+    });
+    return result;
+  }
+
+  async getProfile(userId) {
+    const record = await this.store.get('profiles', userId);
+    return record ? deserializeProfile(record) : null;
+  }
+
+  async saveProfile(profile) {
+    await this.store.put('profiles', profile.userId, serializeProfile(profile));
+  }
+
+  createNewProfile(userId) {
+    return {
+      userId,
+      targetLanguage: null,
+      proficiencyLevel: 'beginner',
+      totalStudyTime: 0,
+      wordsLearned: 0,
+      conversationTurns: 0,
+      weeklyGoalMinutes: 150,
+      weeklyStudyTime: {},
+      reviewSettings: { ...DEFAULT_REVIEW_SETTINGS },
+      dailyReviewCounts: {},
+      scheduler: 'sm2',
+      deckSchedulers: {},
+      memoryItems: new Map(),
+      createdAt: new Date()
+    };
+  }
+
+  async updateUserProgress(userId, sessionData) {
+    validateSessionData(sessionData);
+    return this.withProfileLock(userId, () => this.applyUserProgress(userId, sessionData));
+  }
+
+  async applyUserProgress(userId, sessionData) {
+    const profile = await this.getProfile(userId) || this.createNewProfile(userId);
+    
+    // Update learning metrics
+    profile.totalStudyTime += sessionData.duration || 0;
+    profile.wordsLearned += (sessionData.newVocabulary || []).length;
+    profile.conversationTurns += sessionData.conversationTurns || 0;
+
+    const week = isoWeekKey(new Date());
+    profile.weeklyStudyTime[week] = (profile.weeklyStudyTime[week] || 0) + (sessionData.duration || 0);
+    
+    // New vocabulary enters the review queue as unseen items
+    for (const entry of sessionData.newVocabulary || []) {
+      const id = typeof entry === 'string' ? entry : entry.id;
+      if (!profile.memoryItems.has(id)) {
+        profile.memoryItems.set(id, this.createMemoryItem(profile, entry));
+      }
+    }
+
+    // Apply spaced repetition algorithm
+    this.updateSpacedRepetition(profile, sessionData);
+    
+    // Calculate proficiency improvements
+    const proficiencyGains = this.calculateProficiencyGains(profile, sessionData);
+    
+    await this.saveProfile(profile);
+
+    // Update achievement system
+    await this.checkAchievements(userId, profile);
+    
+    return {
+      currentLevel: profile.proficiencyLevel,
+      proficiencyGains,
+      progressPercentage: this.calculateProgressPercentage(profile),
+      weeklyGoalProgress: this.calculateWeeklyProgress(profile),
+      recommendations: this.generatePersonalizedRecommendations(profile),
+      achievements: await this.getRecentAchievements(userId)
+    };
+  }
+
+  updateSpacedRepetition(profile, sessionData) {
+    for (const item of sessionData.reviewedItems || []) {
+      const memoryItem = profile.memoryItems.get(item.id) || this.createMemoryItem(profile, item.id);
+      this.applyReview(profile, memoryItem, item.performance);
+      profile.memoryItems.set(item.id, memoryItem);
+    }
+  }
+
+  createMemoryItem(profile, entry) {
+    const deckId = typeof entry === 'string' ? null : entry.deckId || null;
+    const algorithm = this.schedulerNameFor(profile, deckId);
+
+    return {
+      content: typeof entry === 'string' ? null : entry,
+      deckId,
+      algorithm,
+      ...this.schedulers[algorithm].createState(),
+      nextReview: new Date(),
+      lastReviewed: null
+    };
+  }
+
+  // Own keys only, so names like "constructor" never resolve to Object.prototype
+  hasScheduler(algorithm) {
+    return typeof algorithm === 'string' && Object.prototype.hasOwnProperty.call(this.schedulers, algorithm);
+  }
+
+  // A deck-level choice overrides the learner's default algorithm
+  schedulerNameFor(profile, deckId) {
+    const deckScheduler = deckId && Object.prototype.hasOwnProperty.call(profile.deckSchedulers, deckId)
+      ? profile.deckSchedulers[deckId]
+      : null;
+    return deckScheduler || profile.scheduler;
+  }
+
+  applyReview(profile, memoryItem, performance, now = new Date()) {
+    const algorithm = this.schedulerNameFor(profile, memoryItem.deckId);
+    if (memoryItem.algorithm !== algorithm) {
+      convertMemoryItem(memoryItem, this.schedulers[memoryItem.algorithm], this.schedulers[algorithm], algorithm);
+    }
+
+    this.schedulers[algorithm].review(memoryItem, performance, now);
+    memoryItem.lastReviewed = now;
+    return memoryItem;
+  }
+
+  // Switch a learner (or one of their decks) to another algorithm, carrying
+  // existing memory state across so no review history is lost
+  changeScheduler(userId, algorithm, options = {}) {
+    return this.withProfileLock(userId, () => this.applySchedulerChange(userId, algorithm, options));
+  }
+
+  async applySchedulerChange(userId, algorithm, { deckId = null } = {}) {
+    if (!this.hasScheduler(algorithm)) {
+      throw new Error(`Unknown scheduling algorithm: ${algorithm}`);
+    }
+
+    const profile = await this.getProfile(userId);
+    if (!profile) return null;
+
+    if (deckId) {
+      profile.deckSchedulers[deckId] = algorithm;
+    } else {
+      profile.scheduler = algorithm;
+    }
+
+    let converted = 0;
+    for (const memoryItem of profile.memoryItems.values()) {
+      const target = this.schedulerNameFor(profile, memoryItem.deckId);
+      if (memoryItem.algorithm === target) continue;
+      convertMemoryItem(memoryItem, this.schedulers[memoryItem.algorithm], this.schedulers[target], target);
+      converted += 1;
+    }
+
+    await this.saveProfile(profile);
+    return { scheduler: profile.scheduler, deckSchedulers: profile.deckSchedulers, converted };
+  }
+
+  // Items whose nextReview has passed, most overdue (relative to their interval) first
+  async getDueReviews(userId, { now = new Date(), newLimit, reviewLimit } = {}) {
+    const profile = await this.getProfile(userId);
+    if (!profile) return null;
+
+    const today = profile.dailyReviewCounts[dayKey(now)] || { new: 0, review: 0 };
+    const newCap = Math.max(0, (newLimit ?? profile.reviewSettings.newPerDay) - today.new);
+    const reviewCap = Math.max(0, (reviewLimit ?? profile.reviewSettings.reviewsPerDay) - today.review);
+
+    const due = [];
+    const unseen = [];
+    for (const [id, item] of profile.memoryItems) {
+      if (!item.lastReviewed) {
+        unseen.push({ id, ...item, status: 'new' });
+        continue;
+      }
+
+      const overdueMs = now - item.nextReview;
+      if (overdueMs < 0) continue;
+
+      const overdueDays = overdueMs / DAY_MS;
+      due.push({
+        id,
+        ...item,
+        status: overdueDays >= 1 ? 'overdue' : 'due',
+        overdueDays: Math.floor(overdueDays),
+        urgency: Number((overdueDays / item.interval).toFixed(3))
+      });
+    }
+
+    due.sort((a, b) => b.urgency - a.urgency);
+
+    return {
+      reviews: due.slice(0, reviewCap),
+      newItems: unseen.slice(0, newCap),
+      totals: {
+        overdue: due.filter(item => item.status === 'overdue').length,
+        due: due.length,
+        new: unseen.length
+      },
+      remainingToday: { new: newCap, review: reviewCap }
+    };
+  }
+
+  // Number of reviews falling due on each of the next `days` days; overdue items count towards today
+  async getReviewForecast(userId, days = 7, now = new Date()) {
+    const profile = await this.getProfile(userId);
+    if (!profile) return null;
+
+    const forecast = [];
+    const startOfToday = new Date(now);
+    startOfToday.setUTCHours(0, 0, 0, 0);
+    for (let i = 0; i < days; i++) {
+      forecast.push({ date: dayKey(new Date(startOfToday.getTime() + i * DAY_MS)), reviews: 0 });
+    }
+
+    for (const item of profile.memoryItems.values()) {
+      if (!item.lastReviewed) continue;
+      const offset = Math.max(0, Math.floor((item.nextReview - startOfToday) / DAY_MS));
+      if (offset < days) forecast[offset].reviews += 1;
+    }
+
+    return forecast;
+  }
+
+  answerReview(userId, itemId, grade, now = new Date()) {
+    return this.withProfileLock(userId, () => this.applyReviewAnswer(userId, itemId, grade, now));
+  }
+
+  async applyReviewAnswer(userId, itemId, grade, now) {
+    const profile = await this.getProfile(userId);
+    const memoryItem = profile?.memoryItems.get(itemId);
+    if (!memoryItem) return null;
+
+    const wasNew = !memoryItem.lastReviewed;
+    this.applyReview(profile, memoryItem, grade, now);
+
+    const key = dayKey(now);
+    const counts = profile.dailyReviewCounts[key] || { new: 0, review: 0 };
+    counts[wasNew ? 'new' : 'review'] += 1;
+    profile.dailyReviewCounts = { [key]: counts };
+
+    await this.saveProfile(profile);
+    return { id: itemId, ...memoryItem };
+  }
+
+  calculateProficiencyGains(profile, sessionData) {
+    const previousLevel = profile.proficiencyLevel;
+    const reached = PROFICIENCY_THRESHOLDS.filter(({ words }) => profile.wordsLearned >= words);
+    profile.proficiencyLevel = reached[reached.length - 1].level;
+
+    return {
+      newWords: (sessionData.newVocabulary || []).length,
+      levelUp: profile.proficiencyLevel !== previousLevel,
+      previousLevel
+    };
+  }
+
+  calculateProgressPercentage(profile) {
+    const index = PROFICIENCY_THRESHOLDS.findIndex(({ level }) => level === profile.proficiencyLevel);
+    const current = PROFICIENCY_THRESHOLDS[index];
+    const next = PROFICIENCY_THRESHOLDS[index + 1];
+    if (!next) return 100;
+
+    return Math.round(((profile.wordsLearned - current.words) / (next.words - current.words)) * 100);
+  }
+
+  calculateWeeklyProgress(profile) {
+    const minutes = (profile.weeklyStudyTime[isoWeekKey(new Date())] || 0) / 60;
+    return Math.min(100, Math.round((minutes / profile.weeklyGoalMinutes) * 100));
+  }
+
+  generatePersonalizedRecommendations(profile) {
+    const recommendations = [];
+    const now = Date.now();
+    const dueItems = Array.from(profile.memoryItems.values())
+      .filter(item => new Date(item.nextReview).getTime() <= now).length;
+
+    if (dueItems > 0) {
+      recommendations.push({ type: 'review', message: `${dueItems} items are due for review` });
+    }
+    if (this.calculateWeeklyProgress(profile) < 50) {
+      recommendations.push({ type: 'study_time', message: 'Add a short session to stay on track for your weekly goal' });
+    }
+    if (profile.conversationTurns < profile.wordsLearned / 10) {
+      recommendations.push({ type: 'conversation', message: 'Practice new vocabulary in a conversation' });
+    }
+
+    return recommendations;
+  }
+
+  async checkAchievements(userId, profile) {
+    const unlocked = await this.store.get('achievements', userId) || [];
+    const unlockedIds = new Set(unlocked.map(achievement => achievement.id));
+
+    const newlyUnlocked = ACHIEVEMENT_DEFINITIONS
+      .filter(definition => !unlockedIds.has(definition.id) && definition.test(profile))
+      .map(({ id, name }) => ({ id, name, unlockedAt: new Date().toISOString() }));
+
+    if (newlyUnlocked.length > 0) {
+      await this.store.put('achievements', userId, [...unlocked, ...newlyUnlocked]);
+    }
+    return newlyUnlocked;
+  }
+
+  async getRecentAchievements(userId, limit = 5) {
+    const unlocked = await this.store.get('achievements', userId) || [];
+    return unlocked.slice(-limit).reverse();
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_REVIEW_SETTINGS = { newPerDay: 20, reviewsPerDay: 200 };
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+const PROFICIENCY_THRESHOLDS = [
+  { level: 'beginner', words: 0 },
+  { level: 'intermediate', words: 500 },
+  { level: 'advanced', words: 2000 },
+  { level: 'native_simulation', words: 5000 }
+];
+
+const ACHIEVEMENT_DEFINITIONS = [
+  { id: 'first_session', name: 'First Steps', test: profile => profile.totalStudyTime > 0 },
+  { id: 'words_100', name: 'Century of Words', test: profile => profile.wordsLearned >= 100 },
+  { id: 'conversation_50', name: 'Conversationalist', test: profile => profile.conversationTurns >= 50 },
+  { id: 'study_10h', name: 'Dedicated Learner', test: profile => profile.totalStudyTime >= 10 * 60 * 60 }
+];
+
+// ===================================================================
+// 5.2 SPACED REPETITION SCHEDULERS
+// ===================================================================
+
+// A scheduler keeps its own state fields on the memory item and always sets
+// `interval` (days until the next review) and `nextReview`. Grades use the
+// SM-2 0-5 scale everywhere. toCommon/fromCommon translate state through a
+// shared shape so items can move between algorithms:
+//   { intervalDays, reps, lapses, difficulty (0 = easy .. 1 = hard) }
+class ReviewScheduler {
+  createState() { throw new Error('Not implemented'); }
+  review(memoryItem, grade, now) { throw new Error('Not implemented'); }
+  toCommon(memoryItem) { throw new Error('Not implemented'); }
+  fromCommon(common) { throw new Error('Not implemented'); }
+}
+
+class SM2Scheduler extends ReviewScheduler {
+  constructor({ initialEasiness = 2.5, minEasiness = 1.3, maxEasiness = 3.0, firstInterval = 1, secondInterval = 6 } = {}) {
+    super();
+    this.initialEasiness = initialEasiness;
+    this.minEasiness = minEasiness;
+    this.maxEasiness = maxEasiness;
+    this.firstInterval = firstInterval;
+    this.secondInterval = secondInterval;
+  }
+
+  createState() {
+    return { interval: this.firstInterval, repetition: 0, easiness: this.initialEasiness, lapses: 0 };
+  }
+
+  review(memoryItem, grade, now) {
+    // Update based on performance
+    if (grade >= 3) {
+      if (memoryItem.repetition === 0) {
+        memoryItem.interval = this.firstInterval;
+      } else if (memoryItem.repetition === 1) {
+        memoryItem.interval = this.secondInterval;
+      } else {
+        memoryItem.interval = Math.round(memoryItem.interval * memoryItem.easiness);
+      }
+      memoryItem.repetition += 1;
+    } else {
+      memoryItem.repetition = 0;
+      memoryItem.interval = this.firstInterval;
+      memoryItem.lapses = (memoryItem.lapses || 0) + 1;
+    }
+
+    // Update easiness factor
+    memoryItem.easiness = memoryItem.easiness + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+    
+    if (memoryItem.easiness < this.minEasiness) {
+      memoryItem.easiness = this.minEasiness;
+    }
+
+    // Set next review date
+    memoryItem.nextReview = new Date(now.getTime() + memoryItem.interval * DAY_MS);
+    return memoryItem;
+  }
+
+  toCommon(memoryItem) {
+    return {
+      intervalDays: memoryItem.interval,
+      reps: memoryItem.repetition,
+      lapses: memoryItem.lapses || 0,
+      difficulty: clamp((this.maxEasiness - memoryItem.easiness) / (this.maxEasiness - this.minEasiness), 0, 1)
+    };
+  }
+
+  fromCommon({ intervalDays, reps, lapses, difficulty }) {
+    return {
+      interval: Math.max(1, Math.round(intervalDays)),
+      repetition: reps,
+      easiness: this.maxEasiness - difficulty * (this.maxEasiness - this.minEasiness),
+      lapses
+    };
+  }
+}
+
+// Free Spaced Repetition Scheduler, v4.5 formulas with the published default weights
+const FSRS_DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+
+class FSRSScheduler extends ReviewScheduler {
+  constructor({ weights = FSRS_DEFAULT_WEIGHTS, requestRetention = 0.9, maximumInterval = 36500 } = {}) {
+    super();
+    this.w = weights;
+    this.requestRetention = requestRetention;
+    this.maximumInterval = maximumInterval;
+  }
+
+  createState() {
+    return { interval: 1, stability: 0, difficulty: 0, reps: 0, lapses: 0 };
+  }
+
+  // FSRS rates recall 1 (again) to 4 (easy); SM-2 failures (0-2) all map to "again"
+  toRating(grade) {
+    return grade < 3 ? 1 : grade - 1;
+  }
+
+  review(memoryItem, grade, now) {
+    const rating = this.toRating(grade);
+    const w = this.w;
+
+    if (memoryItem.reps === 0 || !memoryItem.stability) {
+      memoryItem.stability = w[rating - 1];
+      memoryItem.difficulty = this.initialDifficulty(rating);
+    } else {
+      const elapsedDays = memoryItem.lastReviewed ? Math.max(0, (now - memoryItem.lastReviewed) / DAY_MS) : 0;
+      const retrievability = Math.pow(1 + FSRS_FACTOR * elapsedDays / memoryItem.stability, FSRS_DECAY);
+      const difficulty = memoryItem.difficulty;
+
+      memoryItem.stability = rating === 1
+        ? this.forgetStability(difficulty, memoryItem.stability, retrievability)
+        : this.recallStability(difficulty, memoryItem.stability, retrievability, rating);
+
+      // Mean reversion towards the "easy" starting difficulty keeps D from drifting
+      const next = difficulty - w[6] * (rating - 3);
+      memoryItem.difficulty = clamp(w[7] * this.initialDifficulty(4) + (1 - w[7]) * next, 1, 10);
+    }
+
+    if (rating === 1) memoryItem.lapses = (memoryItem.lapses || 0) + 1;
+    memoryItem.reps += 1;
+    memoryItem.interval = this.nextInterval(memoryItem.stability);
+    memoryItem.nextReview = new Date(now.getTime() + memoryItem.interval * DAY_MS);
+    return memoryItem;
+  }
+
+  initialDifficulty(rating) {
+    return clamp(this.w[4] - (rating - 3) * this.w[5], 1, 10);
+  }
+
+  recallStability(difficulty, stability, retrievability, rating) {
+    const w = this.w;
+    const hardPenalty = rating === 2 ? w[15] : 1;
+    const easyBonus = rating === 4 ? w[16] : 1;
+    return stability * (1 + Math.exp(w[8]) * (11 - difficulty) * Math.pow(stability, -w[9]) *
+      (Math.exp(w[10] * (1 - retrievability)) - 1) * hardPenalty * easyBonus);
+  }
+
+  forgetStability(difficulty, stability, retrievability) {
+    const w = this.w;
+    return w[11] * Math.pow(difficulty, -w[12]) * (Math.pow(stability + 1, w[13]) - 1) *
+      Math.exp(w[14] * (1 - retrievability));
+  }
+
+  nextInterval(stability) {
+    const interval = stability / FSRS_FACTOR * (Math.pow(this.requestRetention, 1 / FSRS_DECAY) - 1);
+    return clamp(Math.round(interval), 1, this.maximumInterval);
+  }
+
+  toCommon(memoryItem) {
+    return {
+      intervalDays: memoryItem.interval,
+      reps: memoryItem.reps,
+      lapses: memoryItem.lapses || 0,
+      difficulty: memoryItem.reps > 0 ? (memoryItem.difficulty - 1) / 9 : 0.5
+    };
+  }
+
+  // At the default 90% retention an interval of N days corresponds to stability N
+  fromCommon({ intervalDays, reps, lapses, difficulty }) {
+    return {
+      interval: Math.max(1, Math.round(intervalDays)),
+      stability: reps > 0 ? Math.max(intervalDays, 0.1) : 0,
+      difficulty: reps > 0 ? 1 + difficulty * 9 : 0,
+      reps,
+      lapses
+    };
+  }
+}
+
+// Classroom-style boxes: a pass moves the card up a box, a failure sends it back to box 1
+class LeitnerScheduler extends ReviewScheduler {
+  constructor({ boxIntervals = [1, 3, 7, 14, 30] } = {}) {
+    super();
+    this.boxIntervals = boxIntervals;
+  }
+
+  createState() {
+    return { interval: this.boxIntervals[0], box: 1, reps: 0, lapses: 0 };
+  }
+
+  review(memoryItem, grade, now) {
+    if (grade >= 3) {
+      memoryItem.box = Math.min(memoryItem.box + 1, this.boxIntervals.length);
+    } else {
+      memoryItem.box = 1;
+      memoryItem.lapses = (memoryItem.lapses || 0) + 1;
+    }
+
+    memoryItem.reps += 1;
+    memoryItem.interval = this.boxIntervals[memoryItem.box - 1];
+    memoryItem.nextReview = new Date(now.getTime() + memoryItem.interval * DAY_MS);
+    return memoryItem;
+  }
+
+  toCommon(memoryItem) {
+    return {
+      intervalDays: memoryItem.interval,
+      reps: memoryItem.reps,
+      lapses: memoryItem.lapses || 0,
+      // A single box says nothing about difficulty
+      difficulty: this.boxIntervals.length > 1 ? 1 - (memoryItem.box - 1) / (this.boxIntervals.length - 1) : 0.5
+    };
+  }
+
+  fromCommon({ intervalDays, reps, lapses }) {
+    // Highest box whose interval the item has already earned
+    let box = 1;
+    this.boxIntervals.forEach((interval, index) => {
+      if (intervalDays >= interval) box = index + 1;
+    });
+    return { interval: this.boxIntervals[box - 1], box, reps, lapses };
+  }
+}
+
+const REVIEW_SCHEDULERS = {
+  sm2: new SM2Scheduler(),
+  fsrs: new FSRSScheduler(),
+  leitner: new LeitnerScheduler()
+};
+
+// Replace one algorithm's state fields with another's; the review schedule
+// (nextReview, lastReviewed) is kept so nothing becomes due unexpectedly
+function convertMemoryItem(memoryItem, fromScheduler, toScheduler, toAlgorithm) {
+  const common = fromScheduler.toCommon(memoryItem);
+  for (const field of Object.keys(fromScheduler.createState())) {
+    delete memoryItem[field];
+  }
+  Object.assign(memoryItem, toScheduler.fromCommon(common));
+  memoryItem.algorithm = toAlgorithm;
+  return memoryItem;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function isoWeekKey(date) {
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Profiles hold a Map and Dates, which don't survive JSON on their own
+function serializeProfile(profile) {
+  return {
+    ...profile,
+    memoryItems: Array.from(profile.memoryItems.entries()),
+    createdAt: new Date(profile.createdAt).toISOString()
+  };
+}
+
+function deserializeProfile(record) {
+  return {
+    ...record,
+    memoryItems: new Map(record.memoryItems.map(([id, item]) => [
+      id,
+      {
+        ...item,
+        nextReview: new Date(item.nextReview),
+        lastReviewed: item.lastReviewed ? new Date(item.lastReviewed) : null
+      }
+    ])),
+    createdAt: new Date(record.createdAt)
+  };
+}
+
+// ===================================================================
+// 5.1 PERSISTENT STORAGE ADAPTERS
+// ===================================================================
+
+// Every adapter stores JSON values by collection and key. Callers own
+// (de)serialization of richer types like Maps and Dates.
+class StorageAdapter {
+  async open() {}
+  async close() {}
+  async get(collection, key) { throw new Error('Not implemented'); }
+  async put(collection, key, value) { throw new Error('Not implemented'); }
+  async delete(collection, key) { throw new Error('Not implemented'); }
+  async list(collection) { throw new Error('Not implemented'); }
+}
+
+// Schema migrations run in order on open; each receives the collections
+// Map (collection -> Map of key -> value) and rewrites it in place
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create progress collections',
+    up(collections) {
+      for (const name of ['profiles', 'achievements', 'analytics']) {
+        if (!collections.has(name)) collections.set(name, new Map());
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Add review queue settings and mark reviewed memory items',
+    up(collections) {
+      for (const profile of collections.get('profiles').values()) {
+        profile.reviewSettings = profile.reviewSettings || { ...DEFAULT_REVIEW_SETTINGS };
+        profile.dailyReviewCounts = profile.dailyReviewCounts || {};
+        // Items stored before the queue existed were all created by a review
+        for (const [, item] of profile.memoryItems) {
+          if (item.lastReviewed === undefined) item.lastReviewed = item.nextReview;
+        }
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Record the scheduling algorithm on profiles and memory items',
+    up(collections) {
+      for (const profile of collections.get('profiles').values()) {
+        profile.scheduler = profile.scheduler || 'sm2';
+        profile.deckSchedulers = profile.deckSchedulers || {};
+        for (const [, item] of profile.memoryItems) {
+          item.algorithm = item.algorithm || 'sm2';
+          item.deckId = item.deckId || null;
+          item.lapses = item.lapses || 0;
+        }
+      }
+    }
+  }
+];
+
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return this.collections.get(name);
+  }
+
+  // Values are copied in and out so callers can't mutate stored state by accident
+  async get(collection, key) {
+    const value = this.collection(collection).get(key);
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  async put(collection, key, value) {
+    this.collection(collection).set(key, JSON.parse(JSON.stringify(value)));
+  }
+
+  async delete(collection, key) {
+    return this.collection(collection).delete(key);
+  }
+
+  async list(collection) {
+    return Array.from(this.collection(collection).values(), value => JSON.parse(JSON.stringify(value)));
+  }
+}
+
+// Append-only JSON lines log, replayed into memory on open and compacted
+// once dead entries outnumber live ones
+class JsonFileStorageAdapter extends MemoryStorageAdapter {
+  constructor(filePath, { migrations = STORAGE_MIGRATIONS } = {}) {
+    super();
+    this.filePath = filePath;
+    this.migrations = migrations;
+    this.schemaVersion = 0;
+    this.logEntries = 0;
+    this.writeQueue = Promise.resolve();
+    // Until the log has been replayed, memory holds nothing worth writing back
+    this.opened = false;
+  }
+
+  async open() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let raw = '';
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const lines = raw.split('\n').filter(Boolean);
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can only corrupt the final line
+        if (index === lines.length - 1) return;
+        throw new Error(`Corrupt storage log ${this.filePath} at line ${index + 1}`);
+      }
+      this.applyEntry(entry);
+    });
+    this.logEntries = lines.length;
+    this.opened = true;
+
+    const pending = this.migrations.filter(migration => migration.version > this.schemaVersion);
+    for (const migration of pending) {
+      migration.up(this.collections);
+      this.schemaVersion = migration.version;
+      console.log(`💾 Applied storage migration ${migration.version}: ${migration.description}`);
+    }
+
+    if (pending.length > 0 || this.logEntries > 2 * this.liveEntries() + 100) {
+      await this.compact();
+    }
+  }
+
+  async close() {
+    if (!this.opened) return;
+    await this.writeQueue.catch(() => {});
+    await this.compact();
+  }
+
+  applyEntry(entry) {
+    switch (entry.op) {
+      case 'meta':
+        this.schemaVersion = entry.schemaVersion;
+        break;
+      case 'put':
+        this.collection(entry.c).set(entry.k, entry.v);
+        break;
+      case 'del':
+        this.collection(entry.c).delete(entry.k);
+        break;
+    }
+  }
+
+  async put(collection, key, value) {
+    await super.put(collection, key, value);
+    await this.append({ op: 'put', c: collection, k: key, v: value });
+  }
+
+  async delete(collection, key) {
+    const existed = await super.delete(collection, key);
+    if (existed) await this.append({ op: 'del', c: collection, k: key });
+    return existed;
+  }
+
+  append(entry) {
+    return this.enqueueWrite(() => {
+      this.logEntries += 1;
+      return fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+    });
+  }
+
+  // Writes are chained so log lines never interleave. A failed write rejects
+  // for its own caller; the writes queued after it still run.
+  enqueueWrite(write) {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(write);
+    return this.writeQueue;
+  }
+
+  liveEntries() {
+    let count = 0;
+    for (const entries of this.collections.values()) count += entries.size;
+    return count;
+  }
+
+  compact() {
+    if (!this.opened) return this.writeQueue.catch(() => {});
+    return this.enqueueWrite(async () => {
+      const lines = [JSON.stringify({ op: 'meta', schemaVersion: this.schemaVersion })];
+      for (const [collection, entries] of this.collections) {
+        for (const [key, value] of entries) {
+          lines.push(JSON.stringify({ op: 'put', c: collection, k: key, v: value }));
+        }
+      }
+
+      // Write-then-rename keeps the previous log intact if we crash halfway
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, lines.join('\n') + '\n');
+      await fs.rename(tempPath, this.filePath);
+      this.logEntries = lines.length;
+    });
+  }
+}
+
+function createStorageAdapter() {
+  if (process.env.STORAGE_DRIVER === 'memory') {
+    return new MemoryStorageAdapter();
+  }
+  return new JsonFileStorageAdapter(
+    process.env.STORAGE_PATH || path.join(__dirname, 'data', 'platform.jsonl')
+  );
+}
+
+// ===================================================================
+// 5.3 USER ACCOUNTS & AUTHENTICATION
+// ===================================================================
+
+const USER_ROLES = ['learner', 'teacher', 'admin'];
+const USER_PLANS = ['free', 'premium'];
+
+// Errors carrying an HTTP status for the route handlers to pass through
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Optional integer query parameter; anything but digits is a 400 rather than NaN
+function integerQueryParam(query, name, { min = 0, max = Infinity } = {}) {
+  const raw = query[name];
+  if (raw === undefined) return undefined;
+  const value = Number(raw);
+  if (typeof raw !== 'string' || !/^-?\d+$/.test(raw) || value < min || value > max) {
+    const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+    throw httpError(400, `${name} must be an integer ${range}`);
+  }
+  return value;
+}
+
+class AuthService {
+  constructor(store, { secret = process.env.JWT_SECRET, accessTokenTtl = '15m', refreshTokenTtl = '7d', adminEmails = process.env.ADMIN_EMAILS } = {}) {
+    this.store = store;
+    if (!secret) {
+      // Tokens signed with a throwaway secret stop working on restart
+      console.warn('⚠️  JWT_SECRET is not set; using a random secret for this process');
+      secret = crypto.randomBytes(32).toString('hex');
+    }
+    this.secret = secret;
+    this.accessTokenTtl = accessTokenTtl;
+    this.refreshTokenTtl = refreshTokenTtl;
+    this.adminEmails = new Set((adminEmails || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean));
+  }
+
+  async register({ email, password, displayName }) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+      throw httpError(400, 'A valid email address is required');
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      throw httpError(400, 'Password must be at least 8 characters');
+    }
+    if (await this.store.get('userEmails', normalizedEmail)) {
+      throw httpError(409, 'An account with this email already exists');
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      email: normalizedEmail,
+      displayName: displayName || normalizedEmail.split('@')[0],
+      passwordHash: await bcrypt.hash(password, 12),
+      role: this.adminEmails.has(normalizedEmail) ? 'admin' : 'learner',
+      plan: 'free',
+      refreshTokenIds: [],
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.put('users', user.id, user);
+    await this.store.put('userEmails', normalizedEmail, user.id);
+    return { user: publicUser(user), ...await this.issueTokens(user) };
+  }
+
+  async login({ email, password }) {
+    const userId = await this.store.get('userEmails', String(email || '').trim().toLowerCase());
+    const user = userId && await this.store.get('users', userId);
+
+    // Same answer for unknown email and wrong password
+    if (!user || typeof password !== 'string' || !await bcrypt.compare(password, user.passwordHash)) {
+      throw httpError(401, 'Invalid email or password');
+    }
+    return { user: publicUser(user), ...await this.issueTokens(user) };
+  }
+
+  // Refresh tokens are single use: each refresh revokes the old one and issues a new pair
+  async refresh(refreshToken) {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, this.secret);
+    } catch (error) {
+      throw httpError(401, 'Invalid or expired refresh token');
+    }
+
+    const user = payload.type === 'refresh' && await this.store.get('users', payload.sub);
+    if (!user || !user.refreshTokenIds.includes(payload.jti)) {
+      throw httpError(401, 'Invalid or expired refresh token');
+    }
+
+    user.refreshTokenIds = user.refreshTokenIds.filter(id => id !== payload.jti);
+    return { user: publicUser(user), ...await this.issueTokens(user) };
+  }
+
+  async issueTokens(user) {
+    const refreshTokenId = crypto.randomUUID();
+    // Keep a handful of devices signed in at once
+    user.refreshTokenIds = [...user.refreshTokenIds, refreshTokenId].slice(-5);
+    await this.store.put('users', user.id, user);
+
+    return {
+      accessToken: jwt.sign(
+        { sub: user.id, role: user.role, plan: user.plan, type: 'access' },
+        this.secret,
+        { expiresIn: this.accessTokenTtl }
+      ),
+      refreshToken: jwt.sign(
+        { sub: user.id, type: 'refresh', jti: refreshTokenId },
+        this.secret,
+        { expiresIn: this.refreshTokenTtl }
+      )
+    };
+  }
+
+  verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret);
+    } catch (error) {
+      throw httpError(401, 'Invalid or expired access token');
+    }
+    if (payload.type !== 'access') {
+      throw httpError(401, 'Invalid or expired access token');
+    }
+    return { id: payload.sub, role: payload.role, plan: payload.plan };
+  }
+
+  async getUser(userId) {
+    const user = await this.store.get('users', userId);
+    return user ? publicUser(user) : null;
+  }
+
+  async setRole(userId, role) {
+    if (!USER_ROLES.includes(role)) {
+      throw httpError(400, `role must be one of ${USER_ROLES.join(', ')}`);
+    }
+    const user = await this.store.get('users', userId);
+    if (!user) return null;
+
+    user.role = role;
+    await this.store.put('users', user.id, user);
+    return publicUser(user);
+  }
+
+  // Takes effect for the user's next access token
+  async setPlan(userId, plan) {
+    if (!USER_PLANS.includes(plan)) {
+      throw httpError(400, `plan must be one of ${USER_PLANS.join(', ')}`);
+    }
+    const user = await this.store.get('users', userId);
+    if (!user) return null;
+
+    user.plan = plan;
+    await this.store.put('users', user.id, user);
+    return publicUser(user);
+  }
+}
+
+function publicUser({ passwordHash, refreshTokenIds, ...user }) {
+  return user;
+}
+
+function bearerToken(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+// Express middleware: req.user comes from the access token, never from the request body
+function authenticate(authService) {
+  return (req, res, next) => {
+    const token = bearerToken(req.headers.authorization);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    try {
+      req.user = authService.verifyAccessToken(token);
+      next();
+    } catch (error) {
+      res.status(error.status || 401).json({ error: error.message });
+    }
+  };
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+// Learners act on their own data; teachers may read the data of learners in
+// classes they teach; admins may do anything
+async function canAccessUser(user, targetUserId, access, classes) {
+  if (!user) return false;
+  if (user.id === targetUserId || user.role === 'admin') return true;
+  return access === 'read' && user.role === 'teacher' && await classes.teaches(user.id, targetUserId);
+}
+
+function authorizeUserParam(access, classes) {
+  return async (req, res, next) => {
+    try {
+      if (!await canAccessUser(req.user, req.params.userId, access, classes)) {
+        return res.status(403).json({ error: 'Not allowed to access this user' });
+      }
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    next();
+  };
+}
+
+// ===================================================================
+// 5.4 RATE LIMITING & USAGE QUOTAS
+// ===================================================================
+
+// Short-window limits per user and per IP (points per `duration` seconds),
+// plus a calendar-day quota per plan tier. Override with RATE_LIMITS (JSON).
+const DEFAULT_RATE_LIMITS = {
+  translate: {
+    perUser: { points: 30, duration: 60 },
+    perIp: { points: 60, duration: 60 },
+    daily: { free: 500, premium: 10000 }
+  },
+  speech_analyze: {
+    perUser: { points: 10, duration: 60 },
+    perIp: { points: 20, duration: 60 },
+    daily: { free: 50, premium: 1000 }
+  },
+  speech_synthesize: {
+    perUser: { points: 20, duration: 60 },
+    perIp: { points: 40, duration: 60 },
+    daily: { free: 100, premium: 2000 }
+  },
+  conversation: {
+    perUser: { points: 20, duration: 60 },
+    perIp: { points: 40, duration: 60 },
+    daily: { free: 200, premium: 5000 }
+  }
+};
+
+class UsageLimiter {
+  constructor(policies = DEFAULT_RATE_LIMITS, { createLimiter = options => new RateLimiterMemory(options) } = {}) {
+    this.policies = policies;
+    this.limiters = new Map();
+
+    for (const [action, policy] of Object.entries(policies)) {
+      const daily = {};
+      for (const [plan, points] of Object.entries(policy.daily)) {
+        // Keys carry the UTC date, so the quota resets at midnight rather than 24h after first use
+        daily[plan] = createLimiter({ keyPrefix: `${action}:daily:${plan}`, points, duration: 2 * 24 * 60 * 60 });
+      }
+      this.limiters.set(action, {
+        perUser: createLimiter({ keyPrefix: `${action}:user`, ...policy.perUser }),
+        perIp: createLimiter({ keyPrefix: `${action}:ip`, ...policy.perIp }),
+        daily
+      });
+    }
+  }
+
+  // Resolves with the remaining daily quota, or rejects with a 429 error carrying retryAfter (seconds).
+  // `points` is charged to the daily quota only; the short windows count requests.
+  async consume(action, { userId, ip, plan = 'free', points = 1 }) {
+    const limiters = this.limiters.get(action);
+    if (!limiters) throw new Error(`No rate limit policy for ${action}`);
+    const dailyLimiter = limiters.daily[plan] || limiters.daily.free;
+
+    const checks = [
+      ['ip', limiters.perIp, ip, 1, res => res.msBeforeNext],
+      ['user', limiters.perUser, userId, 1, res => res.msBeforeNext],
+      ['daily_quota', dailyLimiter, `${userId}:${dayKey(new Date())}`, points, () => msUntilUtcMidnight()]
+    ];
+
+    let daily = null;
+    for (const [scope, limiter, key, cost, retryMs] of checks) {
+      try {
+        // A rejected consume still counts its points, so a request bigger than
+        // what is left is turned away before it can use up the rest of the day
+        const usage = await limiter.get(key);
+        if (usage && usage.consumedPoints + cost > limiter.points) {
+          throw usage;
+        }
+        const result = await limiter.consume(key, cost);
+        if (scope === 'daily_quota') daily = result;
+      } catch (rejection) {
+        if (rejection instanceof Error) throw rejection;
+        const error = httpError(429, scope === 'daily_quota'
+          ? `Daily ${action.replace(/_/g, ' ')} quota reached for the ${plan} plan`
+          : 'Too many requests, slow down');
+        error.scope = scope;
+        error.retryAfter = Math.max(1, Math.ceil(retryMs(rejection) / 1000));
+        throw error;
+      }
+    }
+
+    return { remaining: daily.remainingPoints, limit: dailyLimiter.points };
+  }
+
+  // Gives back daily quota charged for a request that was then refused
+  async refund(action, { userId, plan = 'free', points = 1 }) {
+    const limiters = this.limiters.get(action);
+    if (!limiters) return;
+    const dailyLimiter = limiters.daily[plan] || limiters.daily.free;
+    await dailyLimiter.reward(`${userId}:${dayKey(new Date())}`, points);
+  }
+
+  async getQuota(userId, plan = 'free') {
+    const today = dayKey(new Date());
+    const resetsAt = new Date(Date.now() + msUntilUtcMidnight()).toISOString();
+    const quotas = {};
+
+    for (const [action, limiters] of this.limiters) {
+      const limiter = limiters.daily[plan] || limiters.daily.free;
+      const usage = await limiter.get(`${userId}:${today}`);
+      const used = usage ? usage.consumedPoints : 0;
+      quotas[action] = { limit: limiter.points, used, remaining: Math.max(0, limiter.points - used), resetsAt };
+    }
+
+    return quotas;
+  }
+}
+
+const WS_RATE_LIMITED_MESSAGES = {
+  real_time_speech: 'speech_analyze',
+  speech_stream_start: 'speech_analyze',
+  real_time_translation: 'translate',
+  conversation_turn: 'conversation',
+  roleplay_start: 'conversation',
+  roleplay_turn: 'conversation'
+};
+
+function msUntilUtcMidnight(now = new Date()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight - now;
+}
+
+// Express middleware; must run after authenticate() so req.user is known.
+// `cost` gives the daily quota points a request uses, e.g. one per batch segment.
+function rateLimit(usageLimiter, action, cost = () => 1) {
+  return async (req, res, next) => {
+    try {
+      const points = Math.max(1, cost(req));
+      const { remaining, limit } = await usageLimiter.consume(action, {
+        userId: req.user.id,
+        ip: req.ip,
+        plan: req.user.plan,
+        points
+      });
+      res.set('X-Quota-Limit', String(limit));
+      res.set('X-Quota-Remaining', String(remaining));
+
+      // Requests the handler turns away as invalid don't use up quota
+      res.on('finish', () => {
+        if (res.statusCode >= 400 && res.statusCode < 500) {
+          usageLimiter.refund(action, { userId: req.user.id, plan: req.user.plan, points }).catch(() => {});
+        }
+      });
+      next();
+    } catch (error) {
+      if (error.status !== 429) {
+        return res.status(500).json({ error: error.message });
+      }
+      res.set('Retry-After', String(error.retryAfter));
+      res.status(429).json({ error: error.message, scope: error.scope, retryAfter: error.retryAfter });
+    }
+  };
+}
+
+// ===================================================================
+// 6. CROSS-PLATFORM API SERVER
+// ===================================================================
+
+// WebSocket protocol. Every text frame is an envelope
+// { v, id, type, data }: `v` is the protocol version, `id` is an optional
+// client request id that the server echoes on every frame it sends in reply,
+// and `data` is checked against the schema for `type`.
+const WS_PROTOCOL_VERSION = 1;
+const WS_PATH = process.env.WS_PATH || '/ws';
+// Clients that miss a whole interval of protocol pings are dropped
+const WS_HEARTBEAT_INTERVAL_MS = 30000;
+// A socket paused for speech backpressure can't read pongs; after this long
+// paused it is dropped like any other silent client
+const WS_MAX_PAUSED_MS = 60000;
+const WS_MAX_PAYLOAD_BYTES = 20 * 1024 * 1024;
+
+const WS_ENVELOPE_SCHEMA = {
+  v: { type: 'number', required: true },
+  id: { type: 'string', pattern: /^[\w.:-]{1,128}$/ },
+  type: { type: 'string', required: true },
+  data: { type: 'object' }
+};
+
+const WS_MESSAGE_SCHEMAS = {
+  ping: {},
+  real_time_speech: {
+    audioBuffer: { type: 'string', required: true },
+    languageCode: { type: 'string', required: true },
+    expectedText: { type: 'string' }
+  },
+  speech_stream_start: {
+    languageCode: { type: 'string', required: true },
+    streamId: { type: 'string' },
+    expectedText: { type: 'string' },
+    sampleRate: { type: 'number' },
+    channels: { type: 'number' }
+  },
+  speech_stream_stop: {},
+  speech_stream_cancel: {},
+  real_time_translation: {
+    text: { type: 'string', required: true },
+    fromLang: { type: 'string', required: true },
+    toLang: { type: 'string', required: true },
+    context: { type: 'object' },
+    classId: { type: 'string' }
+  },
+  conversation_turn: {
+    input: { type: 'string', required: true },
+    sessionId: { type: 'string' },
+    context: { type: 'object' }
+  },
+  cancel_turn: {
+    requestId: { type: 'string', required: true }
+  },
+  resume_session: {
+    sessionId: { type: 'string', required: true }
+  },
+  roleplay_start: {
+    scenario: { type: 'string', required: true }
+  },
+  roleplay_turn: {
+    sessionId: { type: 'string', required: true },
+    message: { type: 'string', required: true }
+  },
+  roleplay_finish: {
+    sessionId: { type: 'string', required: true }
+  }
+};
+
+// Error frame codes for errors that only carry an HTTP status
+const WS_STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable'
+};
+
+function socketError(code, message, details) {
+  const error = httpError(400, message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+// Text frame -> { id, type, data }. Errors carry the request id when the
+// frame had a usable one, so the error frame can still be correlated.
+function parseSocketEnvelope(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    throw socketError('invalid_json', 'Frame is not valid JSON');
+  }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw socketError('invalid_envelope', 'Frame must be a JSON object');
+  }
+
+  const envelopeErrors = validateAgainstSchema(message, WS_ENVELOPE_SCHEMA, '');
+  const id = envelopeErrors.some(error => error.startsWith('id ')) ? null : message.id || null;
+  const fail = error => {
+    error.requestId = id;
+    return error;
+  };
+  if (envelopeErrors.length > 0) {
+    throw fail(socketError('invalid_envelope', 'Invalid message envelope', envelopeErrors));
+  }
+  if (message.v !== WS_PROTOCOL_VERSION) {
+    const error = socketError('unsupported_version', `Protocol version ${message.v} is not supported`);
+    error.supportedVersions = [WS_PROTOCOL_VERSION];
+    throw fail(error);
+  }
+  if (!Object.prototype.hasOwnProperty.call(WS_MESSAGE_SCHEMAS, message.type)) {
+    throw fail(socketError('unknown_type', `Unknown message type: ${message.type}`));
+  }
+
+  const data = message.data || {};
+  const dataErrors = validateAgainstSchema(data, WS_MESSAGE_SCHEMAS[message.type], 'data');
+  if (dataErrors.length > 0) {
+    throw fail(socketError('invalid_message', `Invalid ${message.type} message`, dataErrors));
+  }
+  return { id, type: message.type, data };
+}
+
+function socketErrorPayload(error) {
+  if (error.status === 429) {
+    return { code: 'rate_limited', message: error.message, scope: error.scope, retryAfter: error.retryAfter };
+  }
+  if (!error.status || error.status >= 500) {
+    return { code: 'internal_error', message: error.message };
+  }
+  return {
+    code: error.code || WS_STATUS_CODES[error.status] || 'invalid_request',
+    message: error.message,
+    ...(error.details ? { details: error.details } : {}),
+    ...(error.supportedVersions ? { supportedVersions: error.supportedVersions } : {})
+  };
+}
+
+function sendSocketMessage(ws, type, data, id = null) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({ v: WS_PROTOCOL_VERSION, id, type, data }));
+}
+
+class LanguageLearningServer {
+  constructor() {
+    this.app = express();
+    this.server = null;
+    this.wsServer = null;
+    // Open WebSockets by user id, for pushing progress of HTTP-started jobs
+    this.userSockets = new Map();
+    
+    // Initialize core systems
+    this.languageDB = new LanguageDatabase();
+    this.storage = createStorageAdapter();
+    this.auth = new AuthService(this.storage);
+    this.requireAuth = authenticate(this.auth);
+    this.usageLimiter = new UsageLimiter(
+      process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : DEFAULT_RATE_LIMITS
+    );
+    this.aiEngine = new AIConversationEngine(this.languageDB, { store: this.storage });
+    this.integrations = new ExternalAPIIntegrations({ languageDB: this.languageDB });
+    this.audioStore = new AudioAssetStore();
+    this.voiceSynthesis = new AdvancedVoiceSynthesis();
+    this.speechProcessor = new SpeechProcessingSystem({
+      languageDB: this.languageDB,
+      integrations: this.integrations,
+      audioStore: this.audioStore,
+      voiceRegistry: this.voiceSynthesis
+    });
+    this.classes = new ClassRoster(this.storage);
+    this.translator = new TranslationEngine(this.languageDB, { store: this.storage, integrations: this.integrations, classes: this.classes });
+    this.progressTracker = new ProgressTrackingSystem(this.storage);
+    this.culturalEngine = new CulturalImmersionEngine(this.languageDB, { store: this.storage });
+    
+    this.setupMiddleware();
+    this.setupRoutes();
+    this.setupWebSocket();
+  }
+
+  setupMiddleware() {
+    this.app.use(cors());
+    this.app.use(express.json({ limit: '50mb' }));
+    this.app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+    
+    // File upload handling for audio
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+    });
+    this.app.use('/upload', upload.fields([{ name: 'audio', maxCount: 1 }, { name: 'reference', maxCount: 1 }]));
+  }
+
+  setupRoutes() {
+    // ===== AUTH ROUTES =====
+    this.app.post('/api/auth/register', async (req, res) => {
+      try {
+        const { email, password, displayName } = req.body;
+        const result = await this.auth.register({ email, password, displayName });
+        res.status(201).json(result);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/auth/login', async (req, res) => {
+      try {
+        const { email, password } = req.body;
+        res.json(await this.auth.login({ email, password }));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/auth/refresh', async (req, res) => {
+      try {
+        res.json(await this.auth.refresh(req.body.refreshToken));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/quota', this.requireAuth, async (req, res) => {
+      try {
+        const quotas = await this.usageLimiter.getQuota(req.user.id, req.user.plan);
+        res.json({ plan: req.user.plan, quotas });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/auth/me', this.requireAuth, async (req, res) => {
+      try {
+        const user = await this.auth.getUser(req.user.id);
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ user });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/admin/users/:userId/role', this.requireAuth, requireRole('admin'), async (req, res) => {
+      try {
+        const user = await this.auth.setRole(req.params.userId, req.body.role);
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ user });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/admin/users/:userId/plan', this.requireAuth, requireRole('admin'), async (req, res) => {
+      try {
+        const user = await this.auth.setPlan(req.params.userId, req.body.plan);
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ user });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // ===== LANGUAGE ROUTES =====
+    this.app.get('/api/languages', (req, res) => {
+      const { category, family, search, cursor, limit } = req.query;
+      let result;
+      try {
+        checkLanguageQueryControls(req.query);
+        // Any parameter that isn't a paging/search control is an attribute filter
+        const filters = parseLanguageFilters(req.originalUrl.split('?')[1], LANGUAGE_QUERY_CONTROLS);
+        result = this.languageDB.queryLanguages({ search, filters, category, family, cursor, limit });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json(result);
+    });
+
+    this.app.post('/api/languages/reload', this.requireAuth, requireRole('admin'), async (req, res) => {
+      try {
+        const result = await this.languageDB.reload();
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/languages/:code', (req, res) => {
+      const language = this.languageDB.getLanguage(req.params.code);
+      if (!language) {
+        return res.status(404).json({ error: 'Language not found' });
+      }
+      res.json({ language });
+    });
+
+    this.app.get('/api/languages/:code/voices', (req, res) => {
+      const code = req.params.code.toLowerCase();
+      if (!this.languageDB.getLanguage(code)) {
+        return res.status(404).json({ error: 'Language not found' });
+      }
+      res.json({
+        languageCode: code,
+        voices: this.voiceSynthesis.listVoices(code),
+        emotions: this.voiceSynthesis.listEmotions(),
+        modes: this.voiceSynthesis.listModes()
+      });
+    });
+
+    // ===== CONVERSATION ROUTES =====
+    // Stateless callers get a session created for them so every turn is transcribed
+    this.app.post('/api/conversation', this.requireAuth, rateLimit(this.usageLimiter, 'conversation'), async (req, res) => {
+      try {
+        const { message, context, sessionId } = req.body;
+        // Checked before a session is opened for a stateless call
+        checkConversationInput(message);
+        const session = sessionId
+          ? await this.aiEngine.getSession(sessionId)
+          : await this.aiEngine.startSession(req.user.id, context || {});
+        if (!session || session.userId !== req.user.id) {
+          return res.status(404).json({ error: 'Conversation session not found' });
+        }
+
+        const response = await this.aiEngine.addTurn(session, message);
+        res.json(response);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/conversation/sessions', this.requireAuth, async (req, res) => {
+      try {
+        const { targetLanguage, topic, level, scenario } = req.body;
+        if (!this.languageDB.getLanguage(targetLanguage || '')) {
+          return res.status(400).json({ error: `Unknown target language: ${targetLanguage}` });
+        }
+
+        const session = await this.aiEngine.startSession(req.user.id, { targetLanguage, topic, level, scenario });
+        res.status(201).json({ session });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Teachers can list a learner's sessions with ?userId=
+    this.app.get('/api/conversation/sessions', this.requireAuth, async (req, res) => {
+      try {
+        const userId = req.query.userId || req.user.id;
+        if (!await canAccessUser(req.user, userId, 'read', this.classes)) {
+          return res.status(403).json({ error: 'Not allowed to access this user' });
+        }
+        const sessions = await this.aiEngine.listSessions(userId);
+        res.json({ sessions });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/conversation/sessions/:sessionId', this.requireAuth, async (req, res) => {
+      try {
+        const session = await this.aiEngine.getSession(req.params.sessionId);
+        if (!session || !await canAccessUser(req.user, session.userId, 'read', this.classes)) {
+          return res.status(404).json({ error: 'Conversation session not found' });
+        }
+        res.json({ session });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/conversation/sessions/:sessionId/turns', this.requireAuth, rateLimit(this.usageLimiter, 'conversation'), async (req, res) => {
+      try {
+        const session = await this.aiEngine.getSession(req.params.sessionId);
+        if (!session || session.userId !== req.user.id) {
+          return res.status(404).json({ error: 'Conversation session not found' });
+        }
+        if (session.status !== 'active') {
+          return res.status(409).json({ error: 'Conversation session has ended' });
+        }
+
+        const response = await this.aiEngine.addTurn(session, req.body.message);
+        res.json(response);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/conversation/sessions/:sessionId/end', this.requireAuth, async (req, res) => {
+      try {
+        const session = await this.aiEngine.getSession(req.params.sessionId);
+        if (!session || session.userId !== req.user.id) {
+          return res.status(404).json({ error: 'Conversation session not found' });
+        }
+
+        const { turns, ...summary } = await this.aiEngine.endSession(session);
+        res.json({ session: { ...summary, turnCount: turns.length } });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // ===== ROLE-PLAY ROUTES =====
+    this.app.get('/api/roleplay/scenarios', this.requireAuth, (req, res) => {
+      res.json({ scenarios: this.culturalEngine.listRoleplays() });
+    });
+
+    this.app.post('/api/roleplay/sessions', this.requireAuth, rateLimit(this.usageLimiter, 'conversation'), async (req, res) => {
+      try {
+        const started = await this.culturalEngine.startRoleplay(req.user.id, req.body.scenario);
+        res.status(201).json(started);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Teachers can list a learner's role-plays with ?userId=
+    this.app.get('/api/roleplay/sessions', this.requireAuth, async (req, res) => {
+      try {
+        const userId = req.query.userId || req.user.id;
+        if (!await canAccessUser(req.user, userId, 'read', this.classes)) {
+          return res.status(403).json({ error: 'Not allowed to access this user' });
+        }
+        const sessions = await this.culturalEngine.listRoleplaySessions(userId);
+        res.json({ sessions });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/roleplay/sessions/:sessionId', this.requireAuth, async (req, res) => {
+      try {
+        const session = await this.culturalEngine.getRoleplay(req.params.sessionId);
+        if (!session || !await canAccessUser(req.user, session.userId, 'read', this.classes)) {
+          return res.status(404).json({ error: 'Role-play session not found' });
+        }
+        res.json({ session });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/roleplay/sessions/:sessionId/turns', this.requireAuth, rateLimit(this.usageLimiter, 'conversation'), async (req, res) => {
+      try {
+        const session = await this.getOwnRoleplay(req.params.sessionId, req.user.id);
+        res.json(await this.culturalEngine.roleplayTurn(session, req.body.message));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/roleplay/sessions/:sessionId/finish', this.requireAuth, async (req, res) => {
+      try {
+        const session = await this.getOwnRoleplay(req.params.sessionId, req.user.id);
+        res.json({ sessionId: session.id, result: await this.culturalEngine.finishRoleplay(session) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // ===== SPEECH PROCESSING ROUTES =====
+    this.app.post('/api/speech/analyze', this.requireAuth, rateLimit(this.usageLimiter, 'speech_analyze'), async (req, res) => {
+      try {
+        const { audioBuffer, languageCode, expectedText } = req.body;
+        const analysis = await this.speechProcessor.processSpeechInput(
+          audioBuffer, languageCode, req.user.id, { expectedText }
+        );
+        res.json(analysis);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Multipart upload with the recording in the `audio` field and optionally
+    // a model speaker's recording in `reference` (parsed by the /upload
+    // middleware). Raw PCM takes sampleRate/channels form fields or MIME
+    // parameters like audio/L16;rate=44100.
+    this.app.post('/upload/speech', this.requireAuth, rateLimit(this.usageLimiter, 'speech_analyze'), async (req, res) => {
+      try {
+        const files = req.files || {};
+        const [file] = files.audio || [];
+        const [referenceFile] = files.reference || [];
+        if (!file) {
+          return res.status(400).json({ error: 'Attach the recording as the "audio" field', code: 'missing_audio' });
+        }
+        const { languageCode, expectedText, sampleRate, channels } = req.body;
+        if (!this.languageDB.getLanguage(languageCode || '')) {
+          return res.status(400).json({ error: `Unknown language: ${languageCode}` });
+        }
+        checkExpectedText(expectedText);
+
+        const pcmOptions = {
+          ...(sampleRate ? { sampleRate: Number(sampleRate) } : {}),
+          ...(channels ? { channelCount: Number(channels) } : {})
+        };
+        const audio = await this.speechProcessor.audioIngestor.ingest(file.buffer, file.mimetype, pcmOptions);
+        let reference = null;
+        if (referenceFile) {
+          try {
+            reference = await this.speechProcessor.audioIngestor.ingest(referenceFile.buffer, referenceFile.mimetype, pcmOptions);
+          } catch (error) {
+            error.message = `Reference recording: ${error.message}`;
+            throw error;
+          }
+        }
+        const analysis = await this.speechProcessor.processSpeechInput(
+          audio.pcm, languageCode, req.user.id, { expectedText, audio, reference }
+        );
+        const { samples, pcm, ...audioSummary } = audio;
+        res.json({ ...analysis, audio: audioSummary });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, ...(error.code && error.status ? { code: error.code } : {}) });
+      }
+    });
+
+    this.app.post('/api/speech/synthesize', this.requireAuth, rateLimit(this.usageLimiter, 'speech_synthesize'), async (req, res) => {
+      try {
+        const { text, languageCode, voiceProfile } = req.body;
+        const audioResponse = await this.speechProcessor.generateSpeech(
+          text, languageCode, voiceProfile, req.user.id
+        );
+        res.json(audioResponse);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Public so <audio> elements can load it without a token. Ids are content
+    // hashes, so a response never changes and can be cached for good, except
+    // fallback audio, which clients should drop once a hosted provider is back.
+    this.app.get('/api/audio/:id', async (req, res) => {
+      try {
+        const asset = /^[0-9a-f]{32}$/.test(req.params.id) ? await this.audioStore.get(req.params.id) : null;
+        if (!asset) {
+          return res.status(404).json({ error: 'Audio not found' });
+        }
+
+        const etag = `"${asset.id}"`;
+        res.set({
+          'Content-Type': asset.contentType,
+          'Accept-Ranges': 'bytes',
+          'Cache-Control': asset.fallback ? 'public, no-cache' : 'public, max-age=31536000, immutable',
+          ETag: etag
+        });
+        if (req.get('If-None-Match') === etag) {
+          return res.status(304).end();
+        }
+
+        // If-Range: only honour the range if the client's copy is this one
+        const ifRange = req.get('If-Range');
+        const range = !ifRange || ifRange === etag ? parseByteRange(req.get('Range'), asset.size) : null;
+        if (range === 'unsatisfiable') {
+          res.set('Content-Range', `bytes */${asset.size}`);
+          return res.status(416).end();
+        }
+        if (range) {
+          res.status(206);
+          res.set('Content-Range', `bytes ${range.start}-${range.end}/${asset.size}`);
+        }
+        res.set('Content-Length', String(range ? range.end - range.start + 1 : asset.size));
+        if (req.method === 'HEAD' || asset.size === 0) {
+          return res.end();
+        }
+
+        pipeline(this.audioStore.createReadStream(asset, range || {}), res, error => {
+          if (error && !res.headersSent) res.status(500).json({ error: error.message });
+        });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // ===== TRANSLATION ROUTES =====
+    // The body is checked before any quota is charged for it
+    const validateTranslation = (req, res, next) => {
+      try {
+        checkTranslationInput(req.body.text, req.body.context);
+        this.translator.requireLanguagePair(req.body.fromLang, req.body.toLang);
+      } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+      }
+      next();
+    };
+    this.app.post('/api/translate', this.requireAuth, validateTranslation, rateLimit(this.usageLimiter, 'translate'), async (req, res) => {
+      try {
+        const { text, fromLang, toLang, context, classId } = req.body;
+        const translation = await this.translator.translateText(
+          text, fromLang, toLang, context, { userId: req.user.id, classId }
+        );
+        res.json(translation);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Each segment or cue counts against the daily translate quota. Pass a jobId
+    // to match the translation_progress frames sent to the user's WebSockets.
+    // The body is checked before any quota is charged for it
+    const validateBatch = (req, res, next) => {
+      const { segments } = req.body;
+      if (!Array.isArray(segments) || segments.length === 0) {
+        return res.status(400).json({ error: 'segments must be a non-empty array' });
+      }
+      if (segments.length > MAX_BATCH_SEGMENTS) {
+        return res.status(413).json({ error: `A batch may hold at most ${MAX_BATCH_SEGMENTS} segments` });
+      }
+      try {
+        checkTranslationContext(req.body.context);
+        this.translator.requireLanguagePair(req.body.fromLang, req.body.toLang);
+      } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+      }
+      next();
+    };
+    const segmentCount = req => req.body.segments.length;
+    this.app.post('/api/translate/batch', this.requireAuth, validateBatch, rateLimit(this.usageLimiter, 'translate', segmentCount), async (req, res) => {
+      try {
+        const { segments, fromLang, toLang, context, classId } = req.body;
+        const jobId = req.body.jobId || crypto.randomUUID();
+        const batch = await translateSegments(this.translator, segments, {
+          fromLang,
+          toLang,
+          context,
+          scope: { userId: req.user.id, classId },
+          onProgress: progress => this.notifyUser(req.user.id, 'translation_progress', { jobId, ...progress })
+        });
+        res.json({ jobId, ...batch });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Takes { content, format?: 'srt' | 'vtt', fromLang, toLang, ... } and returns
+    // the subtitle file with each cue's translation under the original lines
+    const parseSubtitleUpload = (req, res, next) => {
+      try {
+        checkTranslationContext(req.body.context);
+        this.translator.requireLanguagePair(req.body.fromLang, req.body.toLang);
+        req.subtitles = parseSubtitles(req.body.content, req.body.format);
+      } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+      }
+      if (req.subtitles.cues.length > MAX_SUBTITLE_CUES) {
+        return res.status(413).json({ error: `Subtitle files may hold at most ${MAX_SUBTITLE_CUES} cues` });
+      }
+      next();
+    };
+    const cueCount = req => req.subtitles.cues.length;
+    this.app.post('/api/translate/subtitles', this.requireAuth, parseSubtitleUpload, rateLimit(this.usageLimiter, 'translate', cueCount), async (req, res) => {
+      try {
+        const { fromLang, toLang, context, classId } = req.body;
+        const { subtitles } = req;
+        const jobId = req.body.jobId || crypto.randomUUID();
+        const batch = await translateSegments(this.translator, subtitles.cues.map(subtitleCueText), {
+          fromLang,
+          toLang,
+          context,
+          scope: { userId: req.user.id, classId },
+          onProgress: progress => this.notifyUser(req.user.id, 'translation_progress', { jobId, ...progress })
+        });
+
+        const body = serializeSubtitles(subtitles, batch.results.map(result => result.translation));
+        res.set('X-Job-Id', jobId);
+        res.set('X-Translated-Cues', String(batch.translated));
+        res.set('X-Failed-Cues', String(batch.failed));
+        res.type(SUBTITLE_CONTENT_TYPES[subtitles.format]);
+        res.attachment(`subtitles.${toLang}.${subtitles.format}`);
+        res.send(body);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Rewrites text into another formality level and explains each change
+    this.app.post('/api/formality/convert', this.requireAuth, (req, res) => {
+      try {
+        const { text, language, to, from, region } = req.body;
+        res.json(this.translator.formalityTransformer.convert(text, language, { to, from, region }));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Circuit state and call stats for every registered STT/TTS/translation provider
+    this.app.get('/api/health/providers', this.requireAuth, requireRole('admin'), (req, res) => {
+      res.json({ providers: this.integrations.getProviderHealth() });
+    });
+
+    this.app.get('/api/admin/cache/translation', this.requireAuth, requireRole('admin'), (req, res) => {
+      res.json(this.translator.translationCache.stats());
+    });
+
+    this.app.delete('/api/admin/cache/translation', this.requireAuth, requireRole('admin'), (req, res) => {
+      this.translator.translationCache.clear();
+      res.json(this.translator.translationCache.stats());
+    });
+
+    // ===== CLASS ROUTES =====
+    const { classes } = this;
+    const { glossaries, translationMemory } = this.translator;
+
+    this.app.get('/api/classes', this.requireAuth, async (req, res) => {
+      try {
+        res.json({ classes: await classes.list(req.user) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/classes', this.requireAuth, async (req, res) => {
+      try {
+        res.status(201).json({ class: await classes.create(req.user, req.body) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/classes/:classId', this.requireAuth, async (req, res) => {
+      try {
+        res.json({ class: await classes.get(req.user, req.params.classId) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/classes/:classId/members', this.requireAuth, async (req, res) => {
+      try {
+        res.json({ class: await classes.addMember(req.user, req.params.classId, req.body.userId) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/classes/:classId/members/:userId', this.requireAuth, async (req, res) => {
+      try {
+        res.json({ class: await classes.removeMember(req.user, req.params.classId, req.params.userId) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // ===== GLOSSARY & TRANSLATION MEMORY ROUTES =====
+    const sendExport = (res, format, filename, body) => {
+      res.type(format === 'tbx' ? 'application/x-tbx+xml' : 'text/csv');
+      res.attachment(`${filename}.${format}`);
+      res.send(body);
+    };
+
+    this.app.get('/api/glossaries', this.requireAuth, async (req, res) => {
+      try {
+        res.json({ glossaries: await glossaries.list(req.user, { classId: req.query.classId }) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/glossaries', this.requireAuth, async (req, res) => {
+      try {
+        res.status(201).json({ glossary: await glossaries.create(req.user, req.body) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/glossaries/:glossaryId', this.requireAuth, async (req, res) => {
+      try {
+        res.json({ glossary: await glossaries.get(req.user, req.params.glossaryId) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/glossaries/:glossaryId', this.requireAuth, async (req, res) => {
+      try {
+        res.json({ glossary: await glossaries.update(req.user, req.params.glossaryId, req.body) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/glossaries/:glossaryId', this.requireAuth, async (req, res) => {
+      try {
+        await glossaries.remove(req.user, req.params.glossaryId);
+        res.status(204).end();
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/glossaries/:glossaryId/entries', this.requireAuth, async (req, res) => {
+      try {
+        const entries = Array.isArray(req.body.entries) ? req.body.entries : [req.body];
+        res.status(201).json({ glossary: await glossaries.addEntries(req.user, req.params.glossaryId, entries) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/glossaries/:glossaryId/entries/:entryId', this.requireAuth, async (req, res) => {
+      try {
+        const { glossaryId, entryId } = req.params;
+        res.json({ glossary: await glossaries.updateEntry(req.user, glossaryId, entryId, req.body) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/glossaries/:glossaryId/entries/:entryId', this.requireAuth, async (req, res) => {
+      try {
+        const { glossaryId, entryId } = req.params;
+        res.json({ glossary: await glossaries.removeEntry(req.user, glossaryId, entryId) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Imports take { format: 'csv' | 'tbx', content } in the JSON body
+    this.app.post('/api/glossaries/:glossaryId/import', this.requireAuth, async (req, res) => {
+      try {
+        const format = translationFileFormat(req.body.format);
+        const glossary = await glossaries.importEntries(req.user, req.params.glossaryId, { format, content: req.body.content });
+        res.json({ glossary });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/glossaries/:glossaryId/export', this.requireAuth, async (req, res) => {
+      try {
+        const format = translationFileFormat(req.query.format);
+        const body = await glossaries.exportEntries(req.user, req.params.glossaryId, format);
+        sendExport(res, format, `glossary-${req.params.glossaryId}`, body);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/translation-memory', this.requireAuth, async (req, res) => {
+      try {
+        const { fromLang, toLang, classId } = req.query;
+        res.json({ segments: await translationMemory.list(req.user, { fromLang, toLang, classId }) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/translation-memory/search', this.requireAuth, async (req, res) => {
+      try {
+        const { text, fromLang, toLang, classId, minScore } = req.query;
+        if (!text || !fromLang || !toLang) {
+          return res.status(400).json({ error: 'text, fromLang and toLang are required' });
+        }
+        const matches = await translationMemory.lookup(text, fromLang, toLang, {
+          userId: req.user.id,
+          classId,
+          minScore: minScore !== undefined ? Number(minScore) : undefined,
+          limit: 10
+        });
+        res.json({ matches });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/translation-memory', this.requireAuth, async (req, res) => {
+      try {
+        res.status(201).json({ segment: await translationMemory.add(req.user, req.body) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/translation-memory/:segmentId', this.requireAuth, async (req, res) => {
+      try {
+        res.json({ segment: await translationMemory.update(req.user, req.params.segmentId, req.body) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/translation-memory/:segmentId', this.requireAuth, async (req, res) => {
+      try {
+        await translationMemory.remove(req.user, req.params.segmentId);
+        res.status(204).end();
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/translation-memory/import', this.requireAuth, async (req, res) => {
+      try {
+        const { content, fromLang, toLang, classId } = req.body;
+        const format = translationFileFormat(req.body.format);
+        const segments = await translationMemory.importSegments(req.user, { format, content, fromLang, toLang, classId });
+        res.status(201).json({ imported: segments.length, segments });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/translation-memory/export', this.requireAuth, async (req, res) => {
+      try {
+        const { fromLang, toLang, classId } = req.query;
+        const format = translationFileFormat(req.query.format);
+        if (!fromLang || !toLang) {
+          return res.status(400).json({ error: 'fromLang and toLang are required' });
+        }
+        const body = await translationMemory.exportSegments(req.user, { format, fromLang, toLang, classId });
+        sendExport(res, format, `translation-memory-${fromLang}-${toLang}`, body);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // ===== PROGRESS TRACKING ROUTES =====
+    this.app.post('/api/progress/:userId', this.requireAuth, authorizeUserParam('write', this.classes), async (req, res) => {
+      try {
+        const progress = await this.progressTracker.updateUserProgress(
+          req.params.userId, req.body
+        );
+        res.json(progress);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/progress/:userId', this.requireAuth, authorizeUserParam('read', this.classes), async (req, res) => {
+      try {
+        const profile = await this.progressTracker.getProfile(req.params.userId);
+        if (!profile) {
+          return res.status(404).json({ error: 'User profile not found' });
+        }
+        res.json(serializeProfile(profile));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // ===== REVIEW QUEUE ROUTES =====
+    this.app.get('/api/review/:userId/due', this.requireAuth, authorizeUserParam('read', this.classes), async (req, res) => {
+      try {
+        const limits = {
+          newLimit: integerQueryParam(req.query, 'newLimit'),
+          reviewLimit: integerQueryParam(req.query, 'reviewLimit')
+        };
+        const forecastDays = integerQueryParam(req.query, 'forecastDays', { min: 1, max: 90 }) ?? 7;
+
+        const queue = await this.progressTracker.getDueReviews(req.params.userId, limits);
+        if (!queue) {
+          return res.status(404).json({ error: 'User profile not found' });
+        }
+
+        const forecast = await this.progressTracker.getReviewForecast(req.params.userId, forecastDays);
+        res.json({ ...queue, forecast });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/review/:userId/answer', this.requireAuth, authorizeUserParam('write', this.classes), async (req, res) => {
+      try {
+        const { itemId, grade } = req.body;
+        if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+          return res.status(400).json({ error: 'grade must be an integer from 0 to 5' });
+        }
+
+        const item = await this.progressTracker.answerReview(req.params.userId, itemId, grade);
+        if (!item) {
+          return res.status(404).json({ error: 'Review item not found' });
+        }
+        res.json({ item });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/review/:userId/scheduler', this.requireAuth, authorizeUserParam('write', this.classes), async (req, res) => {
+      try {
+        const { algorithm, deckId } = req.body;
+        if (!this.progressTracker.hasScheduler(algorithm)) {
+          return res.status(400).json({
+            error: `algorithm must be one of ${Object.keys(this.progressTracker.schedulers).join(', ')}`
+          });
+        }
+
+        const result = await this.progressTracker.changeScheduler(req.params.userId, algorithm, { deckId });
+        if (!result) {
+          return res.status(404).json({ error: 'User profile not found' });
+        }
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+
+  // A role-play session its owner may play or finish
+  async getOwnRoleplay(sessionId, userId) {
+    const session = await this.culturalEngine.getRoleplay(sessionId);
+    if (!session || session.userId !== userId) {
+      throw httpError(404, 'Role-play session not found');
+    }
+    return session;
+  }
+
+  setupWebSocket() {
+    // No port of its own: start() hands it upgrade requests on WS_PATH from
+    // the HTTP server, so HTTP and WebSocket share one port and ingress
+    this.wsServer = new WebSocket.Server({ noServer: true, maxPayload: WS_MAX_PAYLOAD_BYTES });
+
+    // Protocol-level pings; a client that hasn't answered the previous one
+    // by the next tick is gone. Paused sockets can't read pongs, so they wait,
+    // but only up to WS_MAX_PAUSED_MS.
+    this.wsHeartbeat = setInterval(() => {
+      for (const ws of this.wsServer.clients) {
+        const waiting = ws.isPaused && Date.now() - ws.pausedAt < WS_MAX_PAUSED_MS;
+        if (!ws.isAlive && !waiting) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, WS_HEARTBEAT_INTERVAL_MS);
+    this.wsHeartbeat.unref();
+
+    this.wsServer.on('connection', (ws, req) => {
+      console.log('New WebSocket connection established');
+      const user = req.user;
+      ws.isAlive = true;
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+
+      if (!this.userSockets.has(user.id)) this.userSockets.set(user.id, new Set());
+      this.userSockets.get(user.id).add(ws);
+
+      // Replies echo the id of the request they answer
+      const send = (type, data, id = null) => sendSocketMessage(ws, type, data, id);
+      const sendError = (error, id = null) => send('error', socketErrorPayload(error), id);
+
+      // In-flight conversation turns on this connection, by request id
+      const inflightTurns = new Map();
+
+      // Streaming speech: one open stream per connection, whose audio arrives
+      // as binary frames between speech_stream_start and speech_stream_stop.
+      // Stream events carry the id of the speech_stream_start request.
+      let speechStream = null;
+      let readingPaused = false;
+      const setReadingPaused = (paused, stream) => {
+        if (paused === readingPaused) return;
+        readingPaused = paused;
+        ws.pausedAt = paused ? Date.now() : null;
+        if (paused) ws.pause(); else ws.resume();
+        send('speech_stream_flow', { streamId: stream.id, paused }, stream.requestId);
+      };
+
+      const runSpeechPartial = async stream => {
+        try {
+          const partial = await stream.partial();
+          if (partial && stream === speechStream && stream.state === 'streaming') {
+            send('speech_partial', partial, stream.requestId);
+          }
+        } catch (error) {
+          send('error', { ...socketErrorPayload(error), streamId: stream.id }, stream.requestId);
+        }
+        if (stream !== speechStream) return;
+        if (stream.pendingMs() < SPEECH_STREAM_LIMITS.highWaterMs / 2) setReadingPaused(false, stream);
+        if (stream.shouldRunPartial() && ws.bufferedAmount < SPEECH_STREAM_LIMITS.maxSendBufferBytes) {
+          runSpeechPartial(stream);
+        }
+      };
+
+      const finishSpeechStream = async replyId => {
+        const stream = speechStream;
+        try {
+          send('speech_analysis', await stream.finish(user.id), replyId);
+        } finally {
+          if (speechStream === stream) speechStream = null;
+          setReadingPaused(false, stream);
+        }
+      };
+
+      const receiveSpeechAudio = async chunk => {
+        if (!speechStream || speechStream.state !== 'streaming') {
+          throw httpError(409, 'Send speech_stream_start and wait for speech_stream_started before sending audio');
+        }
+        const stream = speechStream;
+        if (!stream.append(chunk)) {
+          send('speech_stream_limit', { streamId: stream.id, maxDurationMs: SPEECH_STREAM_LIMITS.maxDurationMs }, stream.requestId);
+          await finishSpeechStream(stream.requestId);
+          return;
+        }
+
+        // Analysis lags behind the audio: stop reading until it catches up,
+        // and skip partials while the client isn't reading ours
+        if (stream.pendingMs() > SPEECH_STREAM_LIMITS.highWaterMs) setReadingPaused(true, stream);
+        if (stream.shouldRunPartial() && ws.bufferedAmount < SPEECH_STREAM_LIMITS.maxSendBufferBytes) {
+          runSpeechPartial(stream);
+        }
+      };
+
+      const handlers = {
+        ping: async (data, id) => {
+          send('pong', { serverTime: new Date().toISOString() }, id);
+        },
+
+        real_time_speech: async (data, id) => {
+          const speechResult = await this.speechProcessor.processSpeechInput(
+            data.audioBuffer, data.languageCode, user.id,
+            { expectedText: data.expectedText }
+          );
+          send('speech_analysis', speechResult, id);
+        },
+
+        speech_stream_start: async (data, id) => {
+          if (speechStream) {
+            throw httpError(409, `Speech stream ${speechStream.id} is still open; stop or cancel it first`);
+          }
+          speechStream = new SpeechStreamSession(this.speechProcessor, {
+            id: data.streamId || crypto.randomUUID(),
+            languageCode: data.languageCode,
+            expectedText: data.expectedText,
+            sampleRate: data.sampleRate,
+            channels: data.channels
+          });
+          speechStream.requestId = id;
+          send('speech_stream_started', {
+            streamId: speechStream.id,
+            encoding: 'pcm_s16le',
+            sampleRate: speechStream.sampleRate,
+            channels: speechStream.channels,
+            maxDurationMs: SPEECH_STREAM_LIMITS.maxDurationMs,
+            partialIntervalMs: SPEECH_STREAM_LIMITS.partialIntervalMs
+          }, id);
+        },
+
+        speech_stream_stop: async (data, id) => {
+          if (!speechStream || speechStream.state !== 'streaming') {
+            throw httpError(409, 'No speech stream is open');
+          }
+          await finishSpeechStream(id);
+        },
+
+        speech_stream_cancel: async (data, id) => {
+          if (!speechStream) {
+            throw httpError(409, 'No speech stream is open');
+          }
+          const stream = speechStream;
+          speechStream = null;
+          setReadingPaused(false, stream);
+          send('speech_stream_cancelled', { streamId: stream.id }, id);
+        },
+
+        real_time_translation: async (data, id) => {
+          const translation = await this.translator.translateText(
+            data.text, data.fromLang, data.toLang, data.context,
+            { userId: user.id, classId: data.classId }
+          );
+          send('translation_result', translation, id);
+        },
+
+        conversation_turn: async (data, id) => {
+          checkConversationInput(data.input);
+          // Turns without a sessionId open a new session; its id comes back with the reply
+          const session = data.sessionId
+            ? await this.aiEngine.getSession(data.sessionId)
+            : await this.aiEngine.startSession(user.id, data.context);
+          if (!session || session.userId !== user.id) {
+            throw httpError(404, 'Conversation session not found');
+          }
+
+          // Reply text streams as ai_response_delta frames, analysis arrives as ai_analysis,
+          // and ai_response closes the turn with the complete result
+          const requestId = id || crypto.randomUUID();
+          const controller = new AbortController();
+          inflightTurns.set(requestId, controller);
+
+          try {
+            const response = await this.aiEngine.addTurn(session, data.input, {
+              signal: controller.signal,
+              onDelta: delta => send('ai_response_delta', { requestId, sessionId: session.id, delta }, requestId),
+              onAnalysis: feedback => send('ai_analysis', { requestId, sessionId: session.id, ...feedback }, requestId)
+            });
+            send('ai_response', { requestId, ...response }, requestId);
+          } catch (error) {
+            const cancelled = error.name === 'AbortError' || error.name === 'CanceledError' || error.code === 'ERR_CANCELED';
+            if (!cancelled) throw error;
+            send('turn_cancelled', { requestId, sessionId: session.id }, requestId);
+          } finally {
+            inflightTurns.delete(requestId);
+          }
+        },
+
+        // `requestId` is the id of the conversation_turn request to cancel
+        cancel_turn: async (data, id) => {
+          const controller = inflightTurns.get(data.requestId);
+          if (!controller) {
+            throw httpError(404, `No turn in progress with request id ${data.requestId}`);
+          }
+          controller.abort();
+        },
+
+        resume_session: async (data, id) => {
+          const session = await this.aiEngine.getSession(data.sessionId);
+          if (!session || session.userId !== user.id) {
+            throw httpError(404, 'Conversation session not found');
+          }
+          send('session_state', { session }, id);
+        },
+
+        roleplay_start: async (data, id) => {
+          send('roleplay_started', await this.culturalEngine.startRoleplay(user.id, data.scenario), id);
+        },
+
+        roleplay_turn: async (data, id) => {
+          const session = await this.getOwnRoleplay(data.sessionId, user.id);
+          send('roleplay_reply', await this.culturalEngine.roleplayTurn(session, data.message), id);
+        },
+
+        roleplay_finish: async (data, id) => {
+          const session = await this.getOwnRoleplay(data.sessionId, user.id);
+          send('roleplay_result', { sessionId: session.id, result: await this.culturalEngine.finishRoleplay(session) }, id);
+        }
+      };
+
+      ws.on('message', async (raw, isBinary) => {
+        let id = null;
+        try {
+          if (isBinary) {
+            await receiveSpeechAudio(raw);
+            return;
+          }
+
+          const message = parseSocketEnvelope(raw);
+          id = message.id;
+
+          // Expensive message types share quotas with their HTTP counterparts
+          const limitedAction = WS_RATE_LIMITED_MESSAGES[message.type];
+          if (limitedAction) {
+            await this.usageLimiter.consume(limitedAction, {
+              userId: user.id,
+              ip: req.socket.remoteAddress,
+              plan: user.plan
+            });
+          }
+
+          await handlers[message.type](message.data, id);
+        } catch (error) {
+          sendError(error, id || error.requestId || null);
+        }
+      });
+
+      ws.on('close', () => {
+        for (const controller of inflightTurns.values()) {
+          controller.abort();
+        }
+        speechStream = null;
+        const sockets = this.userSockets.get(user.id);
+        sockets.delete(ws);
+        if (sockets.size === 0) this.userSockets.delete(user.id);
+        console.log('WebSocket connection closed');
+      });
+    });
+  }
+
+  // Authenticates upgrade requests on WS_PATH and hands them to the WebSocket
+  // server; anything else is refused before the handshake
+  attachWebSocket(server) {
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'ws://localhost');
+      if (url.pathname !== WS_PATH) {
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        return;
+      }
+
+      // The access token comes from the Authorization header or, for browsers, ?token=
+      const token = bearerToken(req.headers.authorization) || url.searchParams.get('token');
+      try {
+        req.user = this.auth.verifyAccessToken(token);
+      } catch (error) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return;
+      }
+
+      this.wsServer.handleUpgrade(req, socket, head, ws => this.wsServer.emit('connection', ws, req));
+    });
+  }
+
+  notifyUser(userId, type, data) {
+    for (const ws of this.userSockets.get(userId) || []) {
+      sendSocketMessage(ws, type, data);
+    }
+  }
+
+  start(port = 3001) {
+    this.server = this.app.listen(port, () => {
+      console.log(`🌍 Universal Language Learning Platform Backend running on port ${port}`);
+      console.log(`📊 Language Database: ${this.languageDB.languages.size} languages loaded`);
+      console.log(`🤖 AI Conversation Engine: Ready`);
+      console.log(`🎤 Speech Processing System: Active`);
+      console.log(`🔄 Real-time Translation: Online`);
+      console.log(`📈 Progress Tracking: Initialized`);
+      console.log(`🔌 WebSocket Server: Listening on port ${port} at ${WS_PATH}`);
+    });
+    this.attachWebSocket(this.server);
+  }
+
+  async stop() {
+    if (this.server) {
+      this.server.close();
+    }
+    if (this.wsServer) {
+      clearInterval(this.wsHeartbeat);
+      for (const ws of this.wsServer.clients) ws.terminate();
+      this.wsServer.close();
+    }
+    await this.translator.translationCache.save();
+    await this.storage.close();
+  }
+}
+
+// ===================================================================
+// 7. EXTERNAL API INTEGRATION LAYER
+// ===================================================================
+
+// Each provider kind exposes one method; the registry calls it with the
+// caller's arguments followed by { signal }, which aborts on timeout.
+//   stt          transcribe(audio, languageCode, options, { signal }) -> { text, confidence, words }
+//   tts          synthesize(text, languageCode, voice, { signal }) -> { audio, contentType, durationMs }
+//   translation  translate(text, fromLang, toLang, { signal }) -> { translation, confidence }
+//   phonemes     recognizePhonemes(audio, languageCode, options, { signal }) -> { phonemes }
+const PROVIDER_METHODS = {
+  stt: 'transcribe',
+  tts: 'synthesize',
+  translation: 'translate',
+  phonemes: 'recognizePhonemes'
+};
+
+// Per-provider call policy; register() can override any field
+const DEFAULT_PROVIDER_POLICY = {
+  timeoutMs: 10000,
+  retries: 2,
+  backoffMs: 250,
+  maxBackoffMs: 4000,
+  // Consecutive failures that open the circuit, and how long it stays open
+  failureThreshold: 3,
+  resetTimeoutMs: 30000
+};
+
+// closed: calls flow; open: calls are skipped until resetTimeoutMs passes;
+// half_open: one trial call decides whether to close or re-open
+class CircuitBreaker {
+  constructor({ failureThreshold, resetTimeoutMs }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest(now = Date.now()) {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open' && now - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(now = Date.now()) {
+    this.consecutiveFailures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null
+    };
+  }
+}
+
+class ProviderRegistry {
+  constructor(defaultPolicy = DEFAULT_PROVIDER_POLICY) {
+    this.defaultPolicy = defaultPolicy;
+    this.providers = new Map(Object.keys(PROVIDER_METHODS).map(kind => [kind, []]));
+  }
+
+  // Higher priority is tried first; ties keep registration order
+  register(kind, provider, { priority = 0, ...policy } = {}) {
+    const method = PROVIDER_METHODS[kind];
+    if (!method) {
+      throw new Error(`Unknown provider kind: ${kind}`);
+    }
+    if (!provider.name || typeof provider[method] !== 'function') {
+      throw new Error(`A ${kind} provider needs a name and a ${method}() method`);
+    }
+
+    const entries = this.providers.get(kind).filter(entry => entry.provider.name !== provider.name);
+    const fullPolicy = { ...this.defaultPolicy, ...policy };
+    entries.push({
+      provider,
+      priority,
+      policy: fullPolicy,
+      breaker: new CircuitBreaker(fullPolicy),
+      stats: { attempts: 0, successes: 0, failures: 0, timeouts: 0, totalLatencyMs: 0, lastError: null, lastErrorAt: null, lastSuccessAt: null }
+    });
+    entries.sort((a, b) => b.priority - a.priority);
+    this.providers.set(kind, entries);
+  }
+
+  unregister(kind, name) {
+    const entries = this.providers.get(kind) || [];
+    this.providers.set(kind, entries.filter(entry => entry.provider.name !== name));
+  }
+
+  // Tries providers in priority order, skipping open circuits, and resolves
+  // with the first success as { result, provider, fallback }, where
+  // `fallback` marks a stand-in (negative priority)
+  async call(kind, ...args) {
+    const entries = this.providers.get(kind) || [];
+    const failures = [];
+
+    for (const entry of entries) {
+      if (!entry.breaker.canRequest()) {
+        failures.push({ provider: entry.provider.name, error: 'circuit open' });
+        continue;
+      }
+      try {
+        const result = await this.invoke(kind, entry, args);
+        return { result, provider: entry.provider.name, fallback: entry.priority < 0 };
+      } catch (error) {
+        failures.push({ provider: entry.provider.name, error: error.message });
+        console.warn(`${entry.provider.name} ${kind} failed, trying next provider: ${error.message}`);
+      }
+    }
+
+    const error = httpError(503, entries.length === 0
+      ? `No ${kind} providers are registered`
+      : `All ${kind} providers failed`);
+    error.failures = failures;
+    throw error;
+  }
+
+  // Calls every available provider at once, for callers that compare results
+  async callAll(kind, ...args) {
+    const entries = (this.providers.get(kind) || []).filter(entry => entry.breaker.canRequest());
+    const settled = await Promise.allSettled(entries.map(entry => this.invoke(kind, entry, args)));
+    return settled.map((outcome, index) => ({
+      provider: entries[index].provider.name,
+      priority: entries[index].priority,
+      ...(outcome.status === 'fulfilled' ? { result: outcome.value } : { error: outcome.reason.message })
+    }));
+  }
+
+  // One provider with its timeout and retry policy; the breaker sees one
+  // outcome per call, not per attempt
+  async invoke(kind, entry, args) {
+    const { provider, policy, breaker, stats } = entry;
+    const method = PROVIDER_METHODS[kind];
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= policy.retries; attempt++) {
+      if (attempt > 0) {
+        const backoff = Math.min(policy.maxBackoffMs, policy.backoffMs * 2 ** (attempt - 1));
+        await new Promise(resolve => setTimeout(resolve, backoff / 2 + Math.random() * backoff / 2));
+      }
+
+      const started = Date.now();
+      stats.attempts += 1;
+      try {
+        const result = await withTimeout(
+          signal => provider[method](...args, { signal }),
+          policy.timeoutMs,
+          `${provider.name} ${kind}`
+        );
+        stats.successes += 1;
+        stats.totalLatencyMs += Date.now() - started;
+        stats.lastSuccessAt = new Date().toISOString();
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        lastError = error;
+        stats.failures += 1;
+        if (error.code === 'ETIMEDOUT') stats.timeouts += 1;
+        stats.lastError = error.message;
+        stats.lastErrorAt = new Date().toISOString();
+        // Bad input fails the same way every time, so don't retry it
+        if (error.retryable === false || (error.status >= 400 && error.status < 500 && error.status !== 429)) break;
+      }
+    }
+
+    breaker.recordFailure();
+    throw lastError;
+  }
+
+  // Laplace-smoothed share of successful attempts, 0.5 for an unknown provider
+  successRate(kind, name) {
+    const entry = (this.providers.get(kind) || []).find(candidate => candidate.provider.name === name);
+    if (!entry) return 0.5;
+    return (entry.stats.successes + 1) / (entry.stats.attempts + 2);
+  }
+
+  health() {
+    const report = {};
+    for (const [kind, entries] of this.providers) {
+      report[kind] = entries.map(({ provider, priority, policy, breaker, stats }) => ({
+        name: provider.name,
+        priority,
+        ...breaker.snapshot(),
+        timeoutMs: policy.timeoutMs,
+        attempts: stats.attempts,
+        successes: stats.successes,
+        failures: stats.failures,
+        timeouts: stats.timeouts,
+        averageLatencyMs: stats.successes > 0 ? Math.round(stats.totalLatencyMs / stats.successes) : null,
+        lastError: stats.lastError,
+        lastErrorAt: stats.lastErrorAt,
+        lastSuccessAt: stats.lastSuccessAt
+      }));
+    }
+    return report;
+  }
+}
+
+// Runs fn(signal) and rejects with an ETIMEDOUT error if it takes too long;
+// the signal lets the provider abort its own request
+async function withTimeout(fn, timeoutMs, label) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      controller.abort();
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Axios errors carry the HTTP status on the response; surface it for retry decisions
+function providerError(provider, error) {
+  const wrapped = new Error(`${provider}: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+  wrapped.status = error.response ? error.response.status : undefined;
+  wrapped.code = error.code;
+  return wrapped;
+}
+
+// ----- Ensemble ranking
+
+// Signals behind a candidate's score. Signals that can't be measured (agreement
+// with a single candidate) drop out and the remaining weights renormalise.
+const ENSEMBLE_WEIGHTS = { agreement: 0.5, glossary: 0.3, reliability: 0.2 };
+// How fast a provider's agreement history follows new results
+const AGREEMENT_HISTORY_RATE = 0.1;
+
+// Character n-gram F-score (chrF, beta 2 weights recall over precision).
+// Whitespace is ignored, so tokenisation differences don't count as disagreement.
+function chrF(hypothesis, reference, { maxN = 6, beta = 2 } = {}) {
+  const chars = text => Array.from(String(text).toLowerCase().replace(/\s+/g, ''));
+  const hyp = chars(hypothesis);
+  const ref = chars(reference);
+  if (hyp.length === 0 || ref.length === 0) return hyp.length === ref.length ? 1 : 0;
+
+  const ngrams = (sequence, n) => {
+    const counts = new Map();
+    for (let i = 0; i + n <= sequence.length; i++) {
+      const gram = sequence.slice(i, i + n).join('');
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  let precision = 0;
+  let recall = 0;
+  let orders = 0;
+  for (let n = 1; n <= maxN && n <= hyp.length && n <= ref.length; n++) {
+    const hypGrams = ngrams(hyp, n);
+    const refGrams = ngrams(ref, n);
+    let overlap = 0;
+    for (const [gram, count] of hypGrams) overlap += Math.min(count, refGrams.get(gram) || 0);
+    precision += overlap / (hyp.length - n + 1);
+    recall += overlap / (ref.length - n + 1);
+    orders += 1;
+  }
+
+  precision /= orders;
+  recall /= orders;
+  if (precision + recall === 0) return 0;
+  const betaSquared = beta * beta;
+  return (1 + betaSquared) * precision * recall / (betaSquared * precision + recall);
+}
+
+// Maps a 0-1 ranking score to a confidence. The logistic curve is centred on
+// 0.5; the support factor n/(n+1) keeps a lone, unchecked candidate well short
+// of certain, however good its other signals look.
+function calibrateEnsembleConfidence(score, candidateCount) {
+  const logistic = 1 / (1 + Math.exp(-8 * (score - 0.5)));
+  return Number((logistic * candidateCount / (candidateCount + 1)).toFixed(3));
+}
+
+// ----- Local stand-ins: always registered at the lowest priority so the
+// ----- whole pipeline runs offline and in development
+
+class LocalSpeechToTextProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  // There's no recogniser here; callers that know what the learner was asked
+  // to say can pass it as expectedText and get it back
+  async transcribe(audio, languageCode, { expectedText = '' } = {}) {
+    return { text: expectedText, confidence: expectedText ? 0.5 : 0, words: [] };
+  }
+}
+
+class LocalTextToSpeechProvider {
+  constructor({ sampleRate = 16000 } = {}) {
+    this.name = 'local';
+    this.sampleRate = sampleRate;
+  }
+
+  // Not speech: one hummed tone per syllable (vowel group), with gaps between
+  // words, longer ones at punctuation, a falling pitch across each phrase and
+  // a rise at a question mark. Enough for players and the prosody analysis
+  // to have something real to work on. Learner modes add their word and
+  // syllable breaks.
+  async synthesize(text, languageCode, voice = {}) {
+    const speed = voice.speed || 1;
+    const basePitch = voice.pitch || 165;
+    const syllableMs = 180 / speed;
+    const syllableGap = Math.round(this.sampleRate * (voice.syllableBreakMs || 0) / 1000);
+    const plan = [];
+    for (const [, word, punctuation] of String(text).matchAll(/([\p{L}\p{M}']+)([^\p{L}\p{M}']*)/gu)) {
+      const vowels = word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().match(/[aeiouy]+/g);
+      const syllables = Math.max(1, vowels ? vowels.length : 1);
+      const pauseMs = (/[,.;:!?]/.test(punctuation) ? 250 : 60) / speed + (voice.wordBreakMs || 0);
+      plan.push({ syllables, pauseMs, question: punctuation.includes('?') });
+    }
+    if (plan.length === 0) plan.push({ syllables: 0, pauseMs: 500, question: false });
+
+    const totalMs = plan.reduce((sum, word) => sum + word.syllables * syllableMs + word.pauseMs, 0);
+    const gaps = plan.reduce((sum, word) => sum + Math.max(0, word.syllables - 1), 0) * syllableGap;
+    const samples = new Int16Array(Math.round(this.sampleRate * totalMs / 1000) + gaps);
+    const syllableLength = Math.round(this.sampleRate * syllableMs / 1000);
+    let offset = 0;
+    let phase = 0;
+    let phraseStart = 0;
+    for (const word of plan) {
+      for (let syllable = 0; syllable < word.syllables; syllable++) {
+        const lastOfQuestion = word.question && syllable === word.syllables - 1;
+        for (let i = 0; i < syllableLength && offset + i < samples.length; i++) {
+          const progress = i / syllableLength;
+          const declination = 1 - 0.15 * Math.min(1, (offset + i - phraseStart) / (this.sampleRate * 2));
+          const pitch = basePitch * declination * (lastOfQuestion ? 1 + 0.3 * progress : 1);
+          phase += 2 * Math.PI * pitch / this.sampleRate;
+          const envelope = Math.sin(Math.PI * progress) ** 2;
+          const value = 0.3 * envelope * (Math.sin(phase) + 0.5 * Math.sin(2 * phase) + 0.25 * Math.sin(3 * phase));
+          samples[offset + i] = Math.round(value * 32767 / 1.75);
+        }
+        offset += syllableLength + (syllable < word.syllables - 1 ? syllableGap : 0);
+      }
+      offset += Math.round(this.sampleRate * word.pauseMs / 1000);
+      if (word.pauseMs > 60 / speed + (voice.wordBreakMs || 0)) phraseStart = offset;
+    }
+
+    return {
+      audio: encodeWav(samples, this.sampleRate),
+      contentType: 'audio/wav',
+      durationMs: Math.round(samples.length / this.sampleRate * 1000)
+    };
+  }
+}
+
+// Phonemes of the transcript rather than of the audio, so scoring only
+// catches mistakes the speech-to-text provider wrote down
+class LocalPhonemeRecognizer {
+  constructor(graphemeToPhoneme) {
+    this.name = 'local';
+    this.graphemeToPhoneme = graphemeToPhoneme;
+  }
+
+  async recognizePhonemes(audio, languageCode, { transcription = '' } = {}) {
+    const units = this.graphemeToPhoneme.convert(transcription, languageCode);
+    return { phonemes: units.map(unit => unit.phoneme), confidence: units.length ? 0.5 : 0 };
+  }
+}
+
+class LocalTranslationProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  // Passes text through unchanged, with zero confidence so ranking never prefers it
+  async translate(text) {
+    return { translation: text, confidence: 0 };
+  }
+}
+
+// ----- Hosted providers, registered when their API keys are set
+
+class GoogleCloudProvider {
+  constructor({ apiKey, resolveLanguage = code => code }) {
+    this.name = 'google';
+    this.apiKey = apiKey;
+    this.resolveLanguage = resolveLanguage;
+  }
+
+  // Expects 16 kHz mono 16-bit PCM
+  async transcribe(audio, languageCode, { sampleRate = 16000 } = {}, { signal } = {}) {
+    try {
+      const response = await axios.post(
+        `https://speech.googleapis.com/v1/speech:recognize?key=${this.apiKey}`,
+        {
+          config: { languageCode: this.resolveLanguage(languageCode), encoding: 'LINEAR16', sampleRateHertz: sampleRate, enableWordTimeOffsets: true },
+          audio: { content: Buffer.from(audio).toString('base64') }
+        },
+        { signal }
+      );
+      const best = (((response.data.results || [])[0] || {}).alternatives || [])[0] || {};
+      return { text: best.transcript || '', confidence: best.confidence || 0, words: best.words || [] };
+    } catch (error) {
+      throw providerError(this.name, error);
+    }
+  }
+
+  async synthesize(text, languageCode, voice = {}, { signal } = {}) {
+    try {
+      const response = await axios.post(
+        `https://texttospeech.googleapis.com/v1/text:synthesize?key=${this.apiKey}`,
+        {
+          input: voice.ssml ? { ssml: voice.ssml } : { text },
+          voice: { languageCode: this.resolveLanguage(languageCode), name: voice.providerVoice },
+          // SSML already carries the rate
+          audioConfig: { audioEncoding: 'LINEAR16', speakingRate: voice.ssml ? 1 : voice.speed || 1 }
+        },
+        { signal }
+      );
+      return { audio: Buffer.from(response.data.audioContent, 'base64'), contentType: 'audio/wav' };
+    } catch (error) {
+      throw providerError(this.name, error);
+    }
+  }
+
+  async translate(text, fromLang, toLang, { signal } = {}) {
+    try {
+      const response = await axios.post(
+        `https://translation.googleapis.com/language/translate/v2?key=${this.apiKey}`,
+        { q: text, source: this.resolveLanguage(fromLang), target: this.resolveLanguage(toLang), format: 'text' },
+        { signal }
+      );
+      return { translation: response.data.data.translations[0].translatedText, confidence: null };
+    } catch (error) {
+      throw providerError(this.name, error);
+    }
+  }
+}
+
+class DeepLProvider {
+  constructor({ apiKey, baseUrl = 'https://api-free.deepl.com', resolveLanguage = code => code }) {
+    this.name = 'deepl';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.resolveLanguage = resolveLanguage;
+  }
+
+  async translate(text, fromLang, toLang, { signal } = {}) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/v2/translate`,
+        {
+          text: [text],
+          source_lang: this.resolveLanguage(fromLang).toUpperCase(),
+          target_lang: this.resolveLanguage(toLang).toUpperCase()
+        },
+        { headers: { Authorization: `DeepL-Auth-Key ${this.apiKey}` }, signal }
+      );
+      return { translation: response.data.translations[0].text, confidence: null };
+    } catch (error) {
+      throw providerError(this.name, error);
+    }
+  }
+}
+
+class ExternalAPIIntegrations {
+  constructor({ languageDB = null, registry = new ProviderRegistry() } = {}) {
+    this.apiKeys = {
+      googleCloud: process.env.GOOGLE_CLOUD_API_KEY,
+      azureCognitive: process.env.AZURE_COGNITIVE_KEY,
+      awsTranscribe: process.env.AWS_TRANSCRIBE_KEY,
+      elevenLabs: process.env.ELEVEN_LABS_KEY,
+      deepL: process.env.DEEPL_API_KEY
+    };
+    this.languageDB = languageDB;
+    this.registry = registry;
+    // Provider name -> moving average of how well it agrees with the others
+    this.agreementHistory = new Map();
+    this.registerDefaultProviders();
+  }
+
+  // Hosted APIs want ISO 639 codes; language packs give theirs as isoCode
+  resolveLanguage(code) {
+    const language = this.languageDB && this.languageDB.getLanguage(code || '');
+    return (language && language.isoCode) || code;
+  }
+
+  registerDefaultProviders() {
+    const resolveLanguage = code => this.resolveLanguage(code);
+
+    if (this.apiKeys.googleCloud) {
+      const google = new GoogleCloudProvider({ apiKey: this.apiKeys.googleCloud, resolveLanguage });
+      this.registry.register('stt', google, { priority: 100 });
+      this.registry.register('tts', google, { priority: 100 });
+      this.registry.register('translation', google, { priority: 90 });
+    }
+    if (this.apiKeys.deepL) {
+      const deepL = new DeepLProvider({ apiKey: this.apiKeys.deepL, baseUrl: process.env.DEEPL_API_URL, resolveLanguage });
+      this.registry.register('translation', deepL, { priority: 100 });
+    }
+
+    this.registry.register('stt', new LocalSpeechToTextProvider(), { priority: -1, retries: 0 });
+    this.registry.register('tts', new LocalTextToSpeechProvider(), { priority: -1, retries: 0 });
+    this.registry.register('translation', new LocalTranslationProvider(), { priority: -1, retries: 0 });
+    if (this.languageDB) {
+      this.registry.register('phonemes', new LocalPhonemeRecognizer(new GraphemeToPhoneme(this.languageDB)), { priority: -1, retries: 0 });
+    }
+  }
+
+  // Speech-to-Text Integration
+  async speechToText(audioBuffer, languageCode, options = {}) {
+    const { result, provider } = await this.registry.call('stt', audioBuffer, languageCode, options);
+    return { ...result, provider };
+  }
+
+  // Phoneme recognition for pronunciation scoring
+  async recognizePhonemes(audioBuffer, languageCode, options = {}) {
+    const { result, provider } = await this.registry.call('phonemes', audioBuffer, languageCode, options);
+    return { ...result, provider };
+  }
+
+  // Text-to-Speech Integration
+  async textToSpeech(text, languageCode, voiceProfile = {}) {
+    const { result, provider, fallback } = await this.registry.call('tts', text, languageCode, voiceProfile);
+    return { ...result, provider, fallback };
+  }
+
+  // Translation API Integration
+  async translate(text, fromLang, toLang) {
+    const { result, provider } = await this.registry.call('translation', text, fromLang, toLang);
+    return { ...result, provider };
+  }
+
+  // Asks every hosted provider at once and ranks the answers. Fallback
+  // providers (negative priority) only answer when no hosted one does.
+  // `placeholders` are the protected glossary tokens each answer should keep.
+  async translateWithMultipleProviders(text, fromLang, toLang, { placeholders = [] } = {}) {
+    // Ensemble translation for maximum accuracy
+    const translations = await this.registry.callAll('translation', text, fromLang, toLang);
+    const hosted = translations.filter(candidate => candidate.priority >= 0);
+    if (!hosted.some(candidate => candidate.result)) {
+      // The local stand-ins already answered in callAll; asking the hosted
+      // providers again would only double the wait and their breaker failures
+      const local = translations.find(candidate => candidate.priority < 0 && candidate.result);
+      if (!local) {
+        const error = httpError(503, 'All translation providers failed');
+        error.failures = translations.map(({ provider, error: message }) => ({ provider, error: message }));
+        throw error;
+      }
+      return {
+        ...local.result,
+        provider: local.provider,
+        fallback: true,
+        alternatives: [],
+        failed: hosted.map(({ provider, error }) => ({ provider, error }))
+      };
+    }
+
     // Combine and rank translations
-    return this.ensembleTranslationRanking(translations);
+    return this.ensembleTranslationRanking(hosted, { placeholders });
+  }
+
+  // Scores each candidate on agreement with the others (chrF), on keeping
+  // every glossary placeholder, and on the provider's track record
+  ensembleTranslationRanking(translations, { placeholders = [] } = {}) {
+    const failed = translations
+      .filter(candidate => !candidate.result)
+      .map(({ provider, error }) => ({ provider, error }));
+    const candidates = translations
+      .filter(candidate => candidate.result && typeof candidate.result.translation === 'string')
+      .map(({ provider, result }) => ({ provider, translation: result.translation }));
+    if (candidates.length === 0) {
+      const error = httpError(503, 'No translation provider returned a result');
+      error.failures = failed;
+      throw error;
+    }
+
+    for (const candidate of candidates) {
+      const others = candidates.filter(other => other !== candidate);
+      const agreement = others.length > 0
+        ? others.reduce((sum, other) =>
+          sum + (chrF(candidate.translation, other.translation) + chrF(other.translation, candidate.translation)) / 2, 0) / others.length
+        : null;
+      const glossary = placeholders.length > 0
+        ? placeholders.filter(({ token }) => candidate.translation.includes(token)).length / placeholders.length
+        : null;
+      const history = this.agreementHistory.get(candidate.provider);
+      const reliability = (this.registry.successRate('translation', candidate.provider) + (history ? history.average : 0.5)) / 2;
+
+      candidate.signals = { agreement, glossary, reliability };
+      let weighted = 0;
+      let totalWeight = 0;
+      for (const [signal, weight] of Object.entries(ENSEMBLE_WEIGHTS)) {
+        if (candidate.signals[signal] === null) continue;
+        weighted += weight * candidate.signals[signal];
+        totalWeight += weight;
+      }
+      candidate.score = Number((weighted / totalWeight).toFixed(4));
+    }
+
+    for (const { provider, signals } of candidates) {
+      if (signals.agreement === null) continue;
+      const history = this.agreementHistory.get(provider) || { average: 0.5, samples: 0 };
+      history.average += AGREEMENT_HISTORY_RATE * (signals.agreement - history.average);
+      history.samples += 1;
+      this.agreementHistory.set(provider, history);
+    }
+
+    // Identical answers collapse into one alternative, keeping the best score
+    const ranked = [...candidates].sort((a, b) => b.score - a.score);
+    const seen = new Set();
+    const distinct = ranked.filter(candidate => {
+      const key = candidate.translation.trim().toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const [best, ...alternatives] = distinct;
+    return {
+      translation: best.translation,
+      provider: best.provider,
+      confidence: calibrateEnsembleConfidence(best.score, candidates.length),
+      score: best.score,
+      signals: best.signals,
+      alternatives: alternatives.map(({ provider, translation, score }) => ({ provider, translation, score })),
+      failed
+    };
+  }
+
+  getProviderHealth() {
+    return this.registry.health();
   }
 }
 
@@ -677,7 +7807,7 @@ RUN addgroup -g 1001 -S nodejs
 RUN adduser -S nodejs -u 1001
 USER nodejs
 
-EXPOSE 3001 8080
+EXPOSE 3001
 
 CMD ["node", "server.js"]
     `;
@@ -705,7 +7835,6 @@ spec:
         image: language-learning-platform:latest
         ports:
         - containerPort: 3001
-        - containerPort: 8080
         env:
         - name: NODE_ENV
           value: "production"
@@ -733,6 +7862,9 @@ async function startServer() {
     console.log('🚀 Initializing Universal Language Learning Platform...');
     
     // Initialize database connections
+    await languageLearningPlatform.storage.open();
+    await languageLearningPlatform.audioStore.open();
+    await languageLearningPlatform.translator.translationCache.load();
     await languageLearningPlatform.languageDB.initializeLanguageData();
     
     // Start the server
@@ -747,15 +7879,15 @@ async function startServer() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('🛑 Received SIGTERM, shutting down gracefully...');
-  languageLearningPlatform.stop();
+  await languageLearningPlatform.stop();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('🛑 Received SIGINT, shutting down gracefully...');
-  languageLearningPlatform.stop();
+  await languageLearningPlatform.stop();
   process.exit(0);
 });
 
@@ -767,11 +7899,42 @@ if (require.main === module) {
 module.exports = {
   LanguageLearningServer,
   LanguageDatabase,
+  LanguagePackLoader,
   AIConversationEngine,
+  GrammarRuleEngine,
+  DialoguePromptBuilder,
+  DialogueProvider,
+  LocalTemplateProvider,
+  OpenAICompatibleProvider,
   SpeechProcessingSystem,
+  SpeechStreamSession,
+  AudioIngestor,
+  AudioAssetStore,
+  GraphemeToPhoneme,
   TranslationEngine,
+  LRUCache,
+  ClassRoster,
+  GlossaryService,
+  TranslationMemory,
+  FormalityTransformer,
   ProgressTrackingSystem,
+  ReviewScheduler,
+  SM2Scheduler,
+  FSRSScheduler,
+  LeitnerScheduler,
+  StorageAdapter,
+  MemoryStorageAdapter,
+  JsonFileStorageAdapter,
+  AuthService,
+  UsageLimiter,
   ExternalAPIIntegrations,
+  ProviderRegistry,
+  CircuitBreaker,
+  LocalSpeechToTextProvider,
+  LocalTextToSpeechProvider,
+  LocalTranslationProvider,
+  LocalPhonemeRecognizer,
+  chrF,
   DeploymentManager
 };
 
@@ -808,6 +7971,7 @@ module.exports = {
     "socket.io": "^4.7.1",
     "natural": "^6.5.0",
     "compromise": "^14.10.0",
+    "js-yaml": "^4.1.0",
     "node-wav": "^0.0.2",
     "fluent-ffmpeg": "^2.1.2",
     "jsonwebtoken": "^9.0.1",
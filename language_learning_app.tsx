@@ -11,7 +11,8 @@ const LanguageLearningApp = () => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [userInput, setUserInput] = useState('');
   const [realTimeTranslation, setRealTimeTranslation] = useState(true);
-  const [voiceSelection, setVoiceSelection] = useState('native_female_1');
+  const [voiceSelection, setVoiceSelection] = useState('');
+  const [voiceOptions, setVoiceOptions] = useState([]);
   const [activeFeature, setActiveFeature] = useState('conversation');
 
   // Simulated extensive language database
@@ -28,10 +29,22 @@ const LanguageLearningApp = () => {
     'literature', 'history', 'science', 'art', 'sports', 'family', 'education'
   ];
 
-  const voiceOptions = [
-    'native_female_1', 'native_female_2', 'native_male_1', 'native_male_2', 
-    'elder_storyteller', 'young_native', 'academic_professor', 'street_casual'
-  ];
+  // Voices come from the backend's voice registry for the current language
+  useEffect(() => {
+    let cancelled = false;
+    const code = currentLanguage.toLowerCase().replace(/\s+/g, '_');
+    fetch(`/api/languages/${encodeURIComponent(code)}/voices`)
+      .then(response => (response.ok ? response.json() : { voices: [] }))
+      .catch(() => ({ voices: [] }))
+      .then(({ voices }) => {
+        if (cancelled) return;
+        setVoiceOptions(voices);
+        setVoiceSelection(current => (voices.some(voice => voice.id === current) ? current : voices[0]?.id || ''));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentLanguage]);
 
   const cognitiveFeatures = [
     'Spaced Repetition Algorithm',
@@ -191,9 +204,10 @@ const LanguageLearningApp = () => {
                 onChange={(e) => setVoiceSelection(e.target.value)}
                 className="w-full bg-white/10 rounded-lg px-3 py-2 border border-white/20"
               >
+                {voiceOptions.length === 0 && <option value="">Default voice</option>}
                 {voiceOptions.map(voice => (
-                  <option key={voice} value={voice}>
-                    {voice.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                  <option key={voice.id} value={voice.id}>
+                    {voice.name}
                   </option>
                 ))}
               </select>
@@ -275,7 +289,13 @@ const LanguageLearningApp = () => {
                           <div className="space-y-1">
                             {message.corrections.map((correction, i) => (
                               <div key={i} className="bg-yellow-500/10 border border-yellow-400/30 rounded p-2">
-                                <p className="text-sm text-yellow-300">{correction}</p>
+                                {typeof correction === 'string' ? (
+                                  <p className="text-sm text-yellow-300">{correction}</p>
+                                ) : (
+                                  <p className="text-sm text-yellow-300">
+                                    <span className="line-through">{correction.original}</span> → <span className="font-semibold">{correction.suggestion}</span>: {correction.explanation}
+                                  </p>
+                                )}
                               </div>
                             ))}
                           </div>